@@ -0,0 +1,94 @@
+/**
+ * Lexiscan-Lite - Audio Packs
+ * Pre-recorded phoneme audio described by a JSON manifest and decoded up front with Web Audio,
+ * so every device plays the same recording.
+ */
+
+/**
+ * Manifest structure:
+ * - id, version: recorded in sessionData with every session that used the pack
+ * - voice: description of the speaker (e.g. 'Adult female, General American')
+ * - phonemes: { id: file } - files are resolved relative to the manifest URL
+ *   (ids match trial `phoneme`/`phonemes` values, e.g. 'buh', 'mmm', or spoken words, e.g. 'cat')
+ */
+export default class AudioPack {
+    constructor(manifest, baseUrl = location.href) {
+        AudioPack.validate(manifest);
+        this.manifest = manifest;
+        this.baseUrl = baseUrl;
+        this.buffers = new Map();
+    }
+
+    static async fromURL(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load audio pack (HTTP ${response.status})`);
+        return new AudioPack(await response.json(), new URL(url, location.href).href);
+    }
+
+    static validate(manifest) {
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('Audio pack manifest must be an object');
+        }
+        if (!manifest.id || !manifest.version || !manifest.phonemes || typeof manifest.phonemes !== 'object') {
+            throw new Error('Audio pack manifest requires id, version and phonemes');
+        }
+        Object.entries(manifest.phonemes).forEach(([id, file]) => {
+            if (typeof file !== 'string' || !file) {
+                throw new Error(`Audio pack file for "${id}" must be a non-empty string`);
+            }
+        });
+    }
+
+    get info() {
+        return {
+            id: this.manifest.id,
+            version: this.manifest.version,
+            voice: this.manifest.voice || null
+        };
+    }
+
+    /**
+     * Fetch and decode every file in the pack.
+     * @param {AudioContext} context - Web Audio context used for decoding
+     * @returns {Promise<Object>} - { loaded, failed } phoneme ids (failed ones fall back to speech synthesis)
+     */
+    async load(context) {
+        const loaded = [];
+        const failed = [];
+
+        await Promise.all(Object.entries(this.manifest.phonemes).map(async ([id, file]) => {
+            try {
+                const response = await fetch(new URL(file, this.baseUrl).href);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const buffer = await context.decodeAudioData(await response.arrayBuffer());
+                if (this.isSilent(buffer)) throw new Error('recording is silent');
+                this.buffers.set(id, buffer);
+                loaded.push(id);
+            } catch (err) {
+                console.warn(`Audio pack "${this.manifest.id}": could not load "${id}" (${err.message})`);
+                failed.push(id);
+            }
+        }));
+
+        return { loaded, failed };
+    }
+
+    // Peak amplitude below roughly -80 dBFS on every channel
+    isSilent(buffer) {
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const samples = buffer.getChannelData(c);
+            for (let i = 0; i < samples.length; i++) {
+                if (Math.abs(samples[i]) > 1e-4) return false;
+            }
+        }
+        return true;
+    }
+
+    has(id) {
+        return this.buffers.has(id);
+    }
+
+    get(id) {
+        return this.buffers.get(id) || null;
+    }
+}
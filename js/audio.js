@@ -1,13 +1,28 @@
 /**
  * Lexiscan-Lite - Audio Manager
  * Handles phoneme pronunciation with consistent, neutral delivery.
+ * Recorded audio packs are preferred; speech synthesis is the fallback.
  */
+
+export const AUDIO_SOURCES = {
+    RECORDED: 'recorded',
+    SYNTHESIZED: 'synthesized',
+    MIXED: 'mixed' // sequences with both recorded and synthesized items
+};
+
+// Speech that has not started by then is treated as silent (some devices never fire onstart/onerror)
+const SPEECH_START_TIMEOUT = 3000;
+
 export default class AudioManager {
     constructor() {
         this.synth = window.speechSynthesis;
         this.voices = [];
         this.preferredVoice = null;
         this.isReady = false;
+        this.context = null; // Web Audio context, created on first use
+        this.pack = null;
+        this.currentSource = null;
+        this.sequenceId = 0; // Bumped by cancel() to stop sequences between items
 
         // Load voices
         if (speechSynthesis.onvoiceschanged !== undefined) {
@@ -29,10 +44,138 @@ export default class AudioManager {
         this.isReady = this.voices.length > 0;
     }
 
+    getContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.context && AudioContextClass) {
+            this.context = new AudioContextClass();
+        }
+        return this.context;
+    }
+
+    // Browsers only start audio contexts from a user gesture; call from a click handler
+    unlock() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Decode an audio pack and use it for all phonemes it contains.
+     * @param {AudioPack} pack
+     * @returns {Promise<Object>} - { loaded, failed } phoneme ids
+     */
+    async loadPack(pack) {
+        const context = this.getContext();
+        if (!context) throw new Error('Web Audio is not available in this browser');
+
+        const result = await pack.load(context);
+        this.pack = pack;
+        return result;
+    }
+
+    /**
+     * Play a phoneme from the audio pack, falling back to speech synthesis.
+     * Onset/offset are performance.now() timestamps of when the sound started and ended;
+     * `failed` is set when nothing audible was played.
+     * @param {string} phonemeId - Phoneme id (manifest key)
+     * @param {string} fallbackText - Text spoken when the pack has no recording
+     * @returns {Promise<Object>} - { source, voice, pack, onset, offset, failed, error }
+     */
+    async play(phonemeId, fallbackText = phonemeId) {
+        if (this.pack && this.pack.has(phonemeId)) {
+            const info = this.pack.info;
+            const timing = await this.playBuffer(this.pack.get(phonemeId));
+            return { source: AUDIO_SOURCES.RECORDED, voice: info.voice, pack: `${info.id} ${info.version}`, ...timing };
+        }
+
+        const timing = await this.speak(fallbackText);
+        return {
+            source: AUDIO_SOURCES.SYNTHESIZED,
+            voice: this.preferredVoice ? this.preferredVoice.name : null,
+            pack: null,
+            ...timing
+        };
+    }
+
+    /**
+     * Play several items in order with a fixed silence between them (e.g. /k/ /a/ /t/ for blending).
+     * The gap runs from the end of one item to the start of the next; the measured gap is logged
+     * per segment. The sequence stops at the first item that fails to play.
+     * @param {Object[]} items - [{ id, text }] audio pack ids with speech fallback text
+     * @param {number} gap - Silence between items (ms)
+     * @returns {Promise<Object>} - play() result for the whole sequence (onset of the first item,
+     *   offset of the last) plus `segments`, one play() result per item played
+     */
+    async playSequence(items, gap = 0) {
+        const sequence = ++this.sequenceId;
+        const segments = [];
+
+        for (const item of items) {
+            const previous = segments[segments.length - 1];
+            if (previous) {
+                await new Promise(resolve => setTimeout(resolve, gap));
+                if (sequence !== this.sequenceId) break;
+            }
+
+            const result = await this.play(item.id, item.text);
+            const gapBefore = previous && previous.offset !== null && result.onset !== null
+                ? result.onset - previous.offset
+                : null;
+            segments.push({ id: item.id, ...result, gapBefore });
+            if (result.failed || sequence !== this.sequenceId) break;
+        }
+
+        const failedSegment = segments.find(s => s.failed);
+        const complete = segments.length === items.length && !failedSegment;
+        const sources = [...new Set(segments.map(s => s.source))];
+        const first = segments[0];
+
+        return {
+            source: sources.length === 1 ? sources[0] : AUDIO_SOURCES.MIXED,
+            voice: [...new Set(segments.map(s => s.voice).filter(Boolean))].join(' / ') || null,
+            pack: (segments.find(s => s.pack) || {}).pack || null,
+            onset: first ? first.onset : null,
+            offset: complete ? segments[segments.length - 1].offset : null,
+            failed: !complete,
+            error: complete ? null : (failedSegment ? failedSegment.error : 'sequence cancelled'),
+            segments
+        };
+    }
+
+    /**
+     * Play a decoded buffer. Timestamps include the device output latency where reported.
+     * @returns {Promise<Object>} - { onset, offset, failed, error }
+     */
+    playBuffer(buffer) {
+        return new Promise((resolve) => {
+            this.stopSound();
+
+            // A suspended context plays nothing
+            if (this.context.state !== 'running') {
+                resolve({ onset: null, offset: null, failed: true, error: `audio context ${this.context.state}` });
+                return;
+            }
+
+            const latency = (this.context.outputLatency || this.context.baseLatency || 0) * 1000;
+            const source = this.context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(this.context.destination);
+
+            let onset = null;
+            source.onended = () => {
+                if (this.currentSource === source) this.currentSource = null;
+                resolve({ onset, offset: performance.now() + latency, failed: false, error: null });
+            };
+            this.currentSource = source;
+            source.start();
+            onset = performance.now() + latency;
+        });
+    }
+
     /**
      * Speak a phoneme clearly and neutrally.
      * @param {string} text - The phoneme or letter to speak
-     * @returns {Promise} - Resolves when speech is complete
+     * @returns {Promise<Object>} - Resolves when speech is complete or has failed: { onset, offset, failed, error }
      */
     speak(text) {
         return new Promise((resolve) => {
@@ -40,6 +183,15 @@ export default class AudioManager {
                 this.synth.cancel();
             }
 
+            let onset = null;
+            let settled = false;
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(watchdog);
+                resolve({ onset, offset: error ? null : performance.now(), failed: !!error, error: error || null });
+            };
+
             const utterance = new SpeechSynthesisUtterance(text);
 
             if (this.preferredVoice) {
@@ -51,19 +203,37 @@ export default class AudioManager {
             utterance.pitch = 1.0;   // Neutral pitch
             utterance.volume = 1.0;  // Full volume
 
-            utterance.onend = () => resolve();
-            utterance.onerror = () => resolve(); // Don't block on errors
+            utterance.onstart = () => {
+                onset = performance.now();
+            };
+            utterance.onend = () => finish(onset === null ? 'speech never started' : null);
+            utterance.onerror = (e) => finish(`speech error: ${e.error || 'unknown'}`); // Don't block on errors
+
+            const watchdog = setTimeout(() => {
+                if (onset !== null) return;
+                this.synth.cancel();
+                finish('speech did not start');
+            }, SPEECH_START_TIMEOUT);
 
             this.synth.speak(utterance);
         });
     }
 
     /**
-     * Cancel any ongoing speech
+     * Cancel any ongoing speech, recording or sequence
      */
     cancel() {
+        this.sequenceId++;
+        this.stopSound();
+    }
+
+    stopSound() {
         if (this.synth.speaking) {
             this.synth.cancel();
         }
+        if (this.currentSource) {
+            this.currentSource.stop();
+            this.currentSource = null;
+        }
     }
 }
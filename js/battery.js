@@ -0,0 +1,248 @@
+/**
+ * Lexiscan-Lite - Task Batteries
+ * Loads and validates task batteries defined as JSON documents.
+ */
+import { TASKS } from './tasks.js';
+import registry from './task-types/registry.js';
+import { FONT_CONDITIONS, FONT_ORDERS, expandFontConditions } from './fonts.js';
+import Random from './random.js';
+import { orderTrials, validateTrialOrder } from './trial-order.js';
+
+/**
+ * Battery document structure:
+ * - id, version: recorded in sessionData so results can be traced to the item set used
+ * - title: display name shown on the landing screen
+ * - tasks: array of task definitions (same shape as TASKS in tasks.js); an optional
+ *   `font` ('standard' or 'dyslexia') fixes the stimulus font for that task and an optional
+ *   `trialOrder` shuffles its trials under constraints (see trial-order.js); an optional
+ *   `retestOf` names an earlier task this one repeats, for the test-retest comparison (see consistency.js)
+ * - fontComparison (optional): { tasks, order } - task ids repeated once in each font,
+ *   with order 'counterbalanced' (default), 'standard-first' or 'dyslexia-first'
+ */
+export const DEFAULT_BATTERY = {
+    id: 'lexiscan-standard',
+    version: '1.0.0',
+    title: 'Lexiscan-Lite Standard Battery',
+    tasks: TASKS
+};
+
+const TASK_KEYS = {
+    required: { id: 'string', type: 'string', title: 'string', instruction: 'string', trialConfig: 'object', trials: 'array' },
+    optional: { isWarmup: 'boolean', font: 'string', trialOrder: 'object', retestOf: 'string' }
+};
+
+const FONT_COMPARISON_KEYS = {
+    required: { tasks: 'string[]' },
+    optional: { order: 'string' }
+};
+
+export class BatteryValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid battery: ${errors.join('; ')}`);
+        this.name = 'BatteryValidationError';
+        this.errors = errors;
+    }
+}
+
+export default class Battery {
+    constructor(definition = DEFAULT_BATTERY) {
+        const errors = Battery.validate(definition);
+        if (errors.length > 0) {
+            throw new BatteryValidationError(errors);
+        }
+        this.definition = definition;
+    }
+
+    static fromJSON(json) {
+        return new Battery(json);
+    }
+
+    static async fromURL(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load battery (HTTP ${response.status})`);
+        return Battery.fromJSON(await response.json());
+    }
+
+    static async fromFile(file) {
+        return Battery.fromJSON(JSON.parse(await file.text()));
+    }
+
+    /**
+     * Check a battery document against the task schemas.
+     * @param {Object} def - Parsed battery document
+     * @returns {string[]} - Human-readable errors (empty when valid)
+     */
+    static validate(def) {
+        const errors = [];
+
+        if (!def || typeof def !== 'object') {
+            return ['battery must be an object'];
+        }
+        if (typeof def.id !== 'string' || !def.id) errors.push('battery.id must be a non-empty string');
+        if (typeof def.version !== 'string' || !def.version) errors.push('battery.version must be a non-empty string');
+        if (!Array.isArray(def.tasks) || def.tasks.length === 0) {
+            errors.push('battery.tasks must be a non-empty array');
+            return errors;
+        }
+
+        const seenIds = new Set();
+        def.tasks.forEach((task, i) => {
+            const where = `tasks[${i}]${task && task.id ? ` (${task.id})` : ''}`;
+            if (!task || typeof task !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+
+            errors.push(...Battery.checkShape(task, TASK_KEYS, where));
+
+            if (seenIds.has(task.id)) errors.push(`${where}: duplicate task id`);
+            seenIds.add(task.id);
+
+            if (typeof task.font === 'string' && !Object.values(FONT_CONDITIONS).includes(task.font)) {
+                errors.push(`${where}.font must be one of ${Object.values(FONT_CONDITIONS).join(', ')}`);
+            }
+
+            if (!registry.has(task.type)) {
+                errors.push(`${where}: unknown task type "${task.type}"`);
+                return;
+            }
+            const plugin = registry.get(task.type);
+
+            if (task.trialConfig && typeof task.trialConfig === 'object') {
+                Object.keys(task.trialConfig)
+                    .filter(key => !plugin.configKeys.includes(key))
+                    .forEach(key => errors.push(`${where}.trialConfig: unknown key "${key}" for type ${task.type}`));
+
+                if (!(task.trialConfig.timeout > 0)) {
+                    errors.push(`${where}.trialConfig.timeout must be a positive number`);
+                }
+
+                plugin.validateConfig(task.trialConfig)
+                    .forEach(error => errors.push(`${where}.trialConfig: ${error}`));
+            }
+
+            if (typeof task.retestOf === 'string') {
+                const original = def.tasks.slice(0, i).find(t => t && t.id === task.retestOf);
+                if (!original) {
+                    errors.push(`${where}.retestOf must name an earlier task id`);
+                } else if (original.isWarmup || task.isWarmup) {
+                    errors.push(`${where}.retestOf: warmup tasks are not scored`);
+                }
+            }
+
+            if (task.trialOrder && typeof task.trialOrder === 'object') {
+                validateTrialOrder(task.trialOrder, plugin.trialSchema)
+                    .forEach(error => errors.push(`${where}.trialOrder: ${error}`));
+            }
+
+            if (Array.isArray(task.trials)) {
+                if (task.trials.length === 0) errors.push(`${where}.trials must not be empty`);
+                task.trials.forEach((trial, j) => {
+                    errors.push(...Battery.checkShape(trial, plugin.trialSchema, `${where}.trials[${j}]`));
+                });
+            }
+        });
+
+        if (def.fontComparison !== undefined) {
+            errors.push(...Battery.validateFontComparison(def.fontComparison, def.tasks));
+        }
+
+        return errors;
+    }
+
+    static validateFontComparison(comparison, tasks) {
+        const errors = Battery.checkShape(comparison, FONT_COMPARISON_KEYS, 'fontComparison');
+        if (errors.length > 0) return errors;
+
+        comparison.tasks.forEach(id => {
+            const task = tasks.find(t => t && t.id === id);
+            if (!task) {
+                errors.push(`fontComparison.tasks: unknown task id "${id}"`);
+            } else if (task.isWarmup) {
+                errors.push(`fontComparison.tasks: warmup task "${id}" is not scored`);
+            } else if (task.font) {
+                errors.push(`fontComparison.tasks: task "${id}" already has a fixed font`);
+            }
+        });
+        if (comparison.order !== undefined && !Object.values(FONT_ORDERS).includes(comparison.order)) {
+            errors.push(`fontComparison.order must be one of ${Object.values(FONT_ORDERS).join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    static checkShape(obj, shape, where) {
+        if (!obj || typeof obj !== 'object') return [`${where} must be an object`];
+
+        const errors = [];
+        Object.entries(shape.required).forEach(([key, type]) => {
+            if (!(key in obj)) {
+                errors.push(`${where}: missing "${key}"`);
+            } else if (!Battery.matchesType(obj[key], type)) {
+                errors.push(`${where}.${key} must be ${type}`);
+            }
+        });
+        Object.entries(shape.optional).forEach(([key, type]) => {
+            if (key in obj && !Battery.matchesType(obj[key], type)) {
+                errors.push(`${where}.${key} must be ${type}`);
+            }
+        });
+        Object.keys(obj)
+            .filter(key => !(key in shape.required) && !(key in shape.optional))
+            .forEach(key => errors.push(`${where}: unknown key "${key}"`));
+
+        return errors;
+    }
+
+    static matchesType(value, type) {
+        switch (type) {
+            case 'string[]':
+                return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.length > 0);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'string':
+                return typeof value === 'string' && value.length > 0;
+            default:
+                return typeof value === type;
+        }
+    }
+
+    get info() {
+        return {
+            id: this.definition.id,
+            version: this.definition.version,
+            title: this.definition.title || this.definition.id
+        };
+    }
+
+    get tasks() {
+        return this.definition.tasks;
+    }
+
+    get fontComparison() {
+        return this.definition.fontComparison || null;
+    }
+
+    /**
+     * Tasks in running order for one session: font-comparison tasks repeated per font and
+     * trials ordered from the session seed, so the same seed always yields the same session.
+     * @param {string|null} firstFont - Font for the first compared task (from the session record)
+     * @param {number} seed - Session seed
+     * @returns {Object[]} - Task definitions with ordered `trials`, `itemOrder` (authored indices) and
+     *   `constraintsMet` (false when the trialOrder constraints could not be satisfied)
+     */
+    getSessionTasks(firstFont, seed) {
+        const comparison = this.fontComparison;
+        const tasks = comparison && firstFont
+            ? expandFontConditions(this.tasks, comparison.tasks, firstFont)
+            : this.tasks;
+
+        return tasks.map(task => {
+            const random = Random.derive(seed, `${task.id}:${task.font || 'default'}:order`);
+            const { trials, itemOrder, constraintsMet } = orderTrials(task.trials, task.trialOrder, random);
+            return { ...task, trials, itemOrder, constraintsMet };
+        });
+    }
+}
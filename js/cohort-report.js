@@ -0,0 +1,182 @@
+/**
+ * Lexiscan-Lite - Cohort Report
+ * Renders a Cohort summary: follow-up list, students ranked by screening indicators,
+ * and per-task distributions as strip plots.
+ */
+import ResultsReport from './report.js';
+import { FONT_LABELS } from './fonts.js';
+
+const STRIP_WIDTH = 220;
+const STRIP_HEIGHT = 28;
+
+export default class CohortReport extends ResultsReport {
+    /**
+     * Render a cohort summary.
+     * @param {Object|null} summary - Cohort.summarize() result (null when nothing loaded)
+     * @param {string[]} errors - Files that could not be loaded, with reasons
+     */
+    render(summary, errors = []) {
+        this.container.innerHTML = '';
+
+        if (errors.length > 0) {
+            const section = this.createSection('Files Not Loaded');
+            const list = this.createElement('ul', 'report-list');
+            errors.forEach(error => list.appendChild(this.createElement('li', 'flag-warning', error)));
+            section.appendChild(list);
+            this.container.appendChild(section);
+        }
+
+        if (!summary || summary.students.length === 0) {
+            this.container.appendChild(this.createElement('p', 'report-muted', 'No sessions loaded.'));
+            return;
+        }
+
+        this.container.appendChild(this.renderOverview(summary));
+        this.container.appendChild(this.renderRanking(summary.students, summary.indicators));
+        this.container.appendChild(this.renderIndicatorDistributions(summary.indicators));
+        this.container.appendChild(this.renderTaskDistributions(summary.tasks));
+    }
+
+    // ==================== SECTIONS ====================
+
+    renderOverview(summary) {
+        const section = this.createSection(`${summary.students.length} Students`);
+        const levels = Object.entries(summary.levels).map(([level, count]) => `${count} ${level}`).join(', ');
+        section.appendChild(this.createElement('p', null, `Screening flags: ${levels}.`));
+
+        const followUp = summary.students.filter(s => s.followUp);
+        if (followUp.length > 0) {
+            section.appendChild(this.createElement('h4', null, `Follow-up (${followUp.length})`));
+            const list = this.createElement('ul', 'report-list');
+            followUp.forEach(s => {
+                const reasons = s.reasons.length > 0 ? ` - ${s.reasons.join('; ')}` : '';
+                list.appendChild(this.createElement('li', `follow-up-${s.level}`, `${s.key}: ${s.followUpReason}${reasons}`));
+            });
+            section.appendChild(list);
+        } else {
+            section.appendChild(this.createElement('p', 'report-muted', 'No student needs follow-up.'));
+        }
+
+        if (summary.superseded > 0) {
+            section.appendChild(this.createElement('p', 'report-muted',
+                `${summary.superseded} earlier session(s) of re-screened students are not counted; each student is represented by their latest session.`));
+        }
+        section.appendChild(this.createElement('p', 'report-muted',
+            'Sessions are rescored with the current screening rules. Students without an anonymous code are listed by session ID.'));
+        return section;
+    }
+
+    renderRanking(students, indicators) {
+        const section = this.createSection('Students by Screening Score');
+        const table = this.createElement('table', 'report-table');
+        const head = this.createElement('tr');
+        ['#', 'Student', 'Grade', 'Flag', 'Score', ...indicators.map(ind => ind.label)]
+            .forEach(label => head.appendChild(this.createElement('th', null, label)));
+        table.appendChild(head);
+
+        students.forEach(s => {
+            const row = this.createElement('tr', s.followUp ? 'row-follow-up' : null);
+            row.appendChild(this.createElement('td', null, s.rank !== null ? String(s.rank) : '-'));
+            row.appendChild(this.createElement('td', null, s.key));
+            row.appendChild(this.createElement('td', null, s.grade !== null ? String(s.grade) : 'N/A'));
+            row.appendChild(this.createElement('td', null, s.level || 'N/A'));
+            row.appendChild(this.createElement('td', null, s.score !== null ? s.score.toFixed(2) : 'N/A'));
+            indicators.forEach(ind => {
+                const value = s.indicators[ind.id];
+                row.appendChild(this.createElement('td', `indicator-${value.level}`,
+                    value.value !== null ? `${this.formatValue(value.value)}${ind.unit}` : 'N/A'));
+            });
+            table.appendChild(row);
+        });
+
+        const wrapper = this.createElement('div', 'table-wrapper');
+        wrapper.appendChild(table);
+        section.appendChild(wrapper);
+        section.appendChild(this.createElement('p', 'report-muted',
+            'Highest concern first. Indicator values at the concern or strong threshold are highlighted.'));
+        return section;
+    }
+
+    renderIndicatorDistributions(indicators) {
+        const section = this.createSection('Indicators Across the Class');
+        const table = this.createElement('table', 'report-table');
+        const head = this.createElement('tr');
+        ['Indicator', 'N', 'Median (IQR)', 'Concern', 'Strong']
+            .forEach(label => head.appendChild(this.createElement('th', null, label)));
+        table.appendChild(head);
+
+        indicators.forEach(ind => {
+            const row = this.createElement('tr');
+            row.appendChild(this.createElement('td', null, ind.label));
+            row.appendChild(this.createElement('td', null, String(ind.n)));
+            row.appendChild(this.createElement('td', null, this.formatDistribution(ind, ind.unit)));
+            row.appendChild(this.createElement('td', null, String(ind.concern)));
+            row.appendChild(this.createElement('td', null, String(ind.strong)));
+            table.appendChild(row);
+        });
+        section.appendChild(table);
+        return section;
+    }
+
+    renderTaskDistributions(tasks) {
+        const section = this.createSection('Task Distributions');
+        const table = this.createElement('table', 'report-table');
+        const head = this.createElement('tr');
+        ['Task', 'N', 'Accuracy median (IQR)', '', 'Median RT median (IQR)', '']
+            .forEach(label => head.appendChild(this.createElement('th', null, label)));
+        table.appendChild(head);
+
+        const maxRT = Math.max(...tasks.map(t => t.medianRT.max || 0), 1);
+        tasks.forEach(task => {
+            const row = this.createElement('tr');
+            row.appendChild(this.createElement('td', null, task.font ? `${task.title} (${FONT_LABELS[task.font]})` : task.title));
+            row.appendChild(this.createElement('td', null, String(task.values.length)));
+            row.appendChild(this.createElement('td', null, this.formatDistribution(task.accuracy, '%')));
+            row.appendChild(this.createStripCell(task.values.map(v => v.accuracy), task.accuracy, 100));
+            row.appendChild(this.createElement('td', null, this.formatDistribution(task.medianRT, ' ms', 0)));
+            row.appendChild(this.createStripCell(task.values.map(v => v.medianRT), task.medianRT, maxRT));
+            table.appendChild(row);
+        });
+
+        const wrapper = this.createElement('div', 'table-wrapper');
+        wrapper.appendChild(table);
+        section.appendChild(wrapper);
+        section.appendChild(this.createElement('p', 'report-muted',
+            'Each dot is one student; the shaded box spans the middle half of the class and the line marks the median.'));
+        return section;
+    }
+
+    // ==================== HELPERS ====================
+
+    // One student per dot on a 0-max scale, with the interquartile box and median line
+    createStripCell(values, distribution, max) {
+        const cell = this.createElement('td', 'strip-cell');
+        if (distribution.n === 0) return cell;
+
+        const x = value => 4 + (Math.max(0, Math.min(max, value)) / max) * (STRIP_WIDTH - 8);
+        const svg = this.createSVG('svg', {
+            width: STRIP_WIDTH, height: STRIP_HEIGHT, viewBox: `0 0 ${STRIP_WIDTH} ${STRIP_HEIGHT}`, class: 'strip-plot'
+        });
+        svg.appendChild(this.createSVG('rect', {
+            x: x(distribution.q1), y: 4, width: Math.max(1, x(distribution.q3) - x(distribution.q1)), height: STRIP_HEIGHT - 8,
+            class: 'strip-box'
+        }));
+        svg.appendChild(this.createSVG('line', {
+            x1: x(distribution.median), x2: x(distribution.median), y1: 2, y2: STRIP_HEIGHT - 2, class: 'strip-median'
+        }));
+        values.filter(v => v !== null).forEach(v => {
+            svg.appendChild(this.createSVG('circle', { cx: x(v), cy: STRIP_HEIGHT / 2, r: 3, class: 'strip-dot' }));
+        });
+        cell.appendChild(svg);
+        return cell;
+    }
+
+    formatDistribution(d, unit, digits = 1) {
+        if (d.n === 0) return 'N/A';
+        return `${d.median.toFixed(digits)}${unit} (${d.q1.toFixed(digits)}-${d.q3.toFixed(digits)})`;
+    }
+
+    formatValue(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+}
@@ -0,0 +1,229 @@
+/**
+ * Lexiscan-Lite - Cohort Summary
+ * Aggregates many session exports (a class or year group) into per-task distributions,
+ * a ranking by the screening indicators and a follow-up list.
+ */
+import ScoringEngine, { RISK_LEVELS, INDICATOR_LEVELS, INDICATOR_INFO } from './scoring.js';
+import SessionHistory, { SessionImportError } from './longitudinal.js';
+import { QUALITY_STATUS } from './quality.js';
+import { mean, median, stdDev, quantile } from './stats.js';
+
+// Students at these levels are listed for follow-up
+const FOLLOW_UP_LEVELS = [RISK_LEVELS.ELEVATED, RISK_LEVELS.MODERATE];
+
+export default class Cohort {
+    constructor(scoringConfig = {}) {
+        this.scoring = new ScoringEngine(scoringConfig);
+        this.sessions = [];     // latest session per student
+        this.superseded = [];   // earlier sessions of students screened more than once
+    }
+
+    // Students are matched by anonymous code; sessions without one count as separate students
+    studentKey(session) {
+        return session.participant.code || session.id;
+    }
+
+    /**
+     * Add a session export. A student's latest session represents them in the cohort.
+     * @param {Object} session - Parsed JSON export
+     */
+    add(session) {
+        const errors = SessionHistory.validate(session, false);
+        if (errors.length > 0) throw new SessionImportError(errors);
+        if ([...this.sessions, ...this.superseded].some(s => s.id === session.id)) {
+            throw new SessionImportError([`session ${session.id} is already loaded`]);
+        }
+
+        const key = this.studentKey(session);
+        const index = this.sessions.findIndex(s => this.studentKey(s) === key);
+        if (index < 0) {
+            this.sessions.push(session);
+        } else if (Date.parse(session.startTime) > Date.parse(this.sessions[index].startTime)) {
+            this.superseded.push(this.sessions[index]);
+            this.sessions[index] = session;
+        } else {
+            this.superseded.push(session);
+        }
+    }
+
+    /**
+     * Summarize the cohort.
+     * @returns {Object} - { students, tasks, indicators, levels, followUp, superseded }
+     */
+    summarize() {
+        const students = this.rank(this.sessions.map(session => this.scoreStudent(session)));
+
+        return {
+            students,
+            tasks: this.taskDistributions(),
+            indicators: this.indicatorDistributions(students),
+            levels: Object.fromEntries(Object.values(RISK_LEVELS).map(level =>
+                [level, students.filter(s => s.level === level).length])),
+            followUp: students.filter(s => s.followUp).length,
+            superseded: this.superseded.length
+        };
+    }
+
+    // Rescored with the current rules so every student is judged the same way,
+    // whichever version produced the export
+    scoreStudent(session) {
+        const outcome = this.scoring.score(session, session.attentionStability || null);
+        const quality = session.quality ? session.quality.status : null;
+
+        let followUpReason = null;
+        if (quality === QUALITY_STATUS.INVALID) {
+            followUpReason = 'Session invalid - re-screen';
+        } else if (FOLLOW_UP_LEVELS.includes(outcome.level)) {
+            followUpReason = `${outcome.level} screening flag`;
+        }
+
+        return {
+            key: this.studentKey(session),
+            code: session.participant.code || null,
+            sessionId: session.id,
+            startTime: session.startTime,
+            ageMonths: session.participant.ageMonths,
+            grade: session.participant.grade,
+            quality,
+            level: outcome.level,
+            score: outcome.score,
+            indicators: Object.fromEntries(outcome.indicators.map(ind => [ind.id, { value: ind.value, level: ind.level }])),
+            reasons: outcome.reasons,
+            followUp: followUpReason !== null,
+            followUpReason
+        };
+    }
+
+    /**
+     * Order by overall score (highest concern first) and rank each indicator in its concern direction.
+     * Ties in score are broken by the number of strong indicators.
+     */
+    rank(students) {
+        const strong = s => Object.values(s.indicators).filter(ind => ind.level === INDICATOR_LEVELS.STRONG).length;
+        const ranked = [...students].sort((a, b) => {
+            if (a.score === null || b.score === null) return (a.score === null) - (b.score === null);
+            return b.score - a.score || strong(b) - strong(a);
+        });
+
+        Object.entries(this.scoring.config.indicators).forEach(([id, rule]) => {
+            const order = ranked
+                .filter(s => s.indicators[id].value !== null)
+                .sort((a, b) => rule.direction === 'below'
+                    ? a.indicators[id].value - b.indicators[id].value
+                    : b.indicators[id].value - a.indicators[id].value);
+            ranked.forEach(s => {
+                const position = order.indexOf(s);
+                s.indicators[id].rank = position >= 0 ? position + 1 : null;
+            });
+        });
+
+        return ranked.map((s, i) => ({ ...s, rank: s.score !== null ? i + 1 : null }));
+    }
+
+    // Accuracy and median RT across students for every task (font-comparison tasks per font)
+    taskDistributions() {
+        const tasks = new Map();
+        this.sessions.forEach(session => {
+            session.tasks.forEach(task => {
+                const key = task.font ? `${task.taskId}:${task.font}` : task.taskId;
+                if (!tasks.has(key)) {
+                    tasks.set(key, { key, taskId: task.taskId, font: task.font || null, title: task.title, values: [] });
+                }
+                tasks.get(key).values.push({
+                    student: this.studentKey(session),
+                    accuracy: task.summary.completedTrials > 0 ? task.summary.accuracy : null,
+                    medianRT: task.summary.medianRT
+                });
+            });
+        });
+
+        return [...tasks.values()].map(task => ({
+            ...task,
+            accuracy: this.describe(task.values.map(v => v.accuracy).filter(v => v !== null)),
+            medianRT: this.describe(task.values.map(v => v.medianRT).filter(v => v !== null))
+        }));
+    }
+
+    indicatorDistributions(students) {
+        return Object.entries(this.scoring.config.indicators).map(([id, rule]) => {
+            const values = students.map(s => s.indicators[id]);
+            return {
+                id,
+                ...(INDICATOR_INFO[id] || { label: id, unit: '' }),
+                rule,
+                ...this.describe(values.map(v => v.value).filter(v => v !== null)),
+                concern: values.filter(v => v.level === INDICATOR_LEVELS.CONCERN).length,
+                strong: values.filter(v => v.level === INDICATOR_LEVELS.STRONG).length
+            };
+        });
+    }
+
+    describe(values) {
+        return {
+            n: values.length,
+            mean: values.length > 0 ? mean(values) : null,
+            sd: stdDev(values),
+            median: median(values),
+            q1: quantile(values, 0.25),
+            q3: quantile(values, 0.75),
+            min: values.length > 0 ? Math.min(...values) : null,
+            max: values.length > 0 ? Math.max(...values) : null
+        };
+    }
+
+    /**
+     * Class-level CSV: level counts, task and indicator distributions, and the ranked student list.
+     * @returns {string} - CSV data URI
+     */
+    exportCSV() {
+        const summary = this.summarize();
+        const fmt = (value, digits) => value !== null && value !== undefined ? value.toFixed(digits) : 'N/A';
+        const indicatorIds = Object.keys(this.scoring.config.indicators);
+        const distribution = (d, digits) => [d.n, fmt(d.median, digits), fmt(d.q1, digits), fmt(d.q3, digits),
+            fmt(d.mean, digits), fmt(d.sd, digits), fmt(d.min, digits), fmt(d.max, digits)].join(',');
+
+        let csv = `Lexiscan-Lite Cohort Summary\n`;
+        csv += `Students,${summary.students.length}\n`;
+        csv += `Earlier sessions not counted,${summary.superseded}\n`;
+        Object.entries(summary.levels).forEach(([level, count]) => {
+            csv += `Level ${level},${count}\n`;
+        });
+        csv += `Follow-up,${summary.followUp}\n`;
+
+        csv += `\nTASK DISTRIBUTIONS\n`;
+        csv += `Task,Font,Metric,N,Median,Q1,Q3,Mean,SD,Min,Max\n`;
+        summary.tasks.forEach(task => {
+            csv += `${task.taskId},${task.font || 'default'},Accuracy(%),${distribution(task.accuracy, 1)}\n`;
+            csv += `${task.taskId},${task.font || 'default'},MedianRT(ms),${distribution(task.medianRT, 0)}\n`;
+        });
+
+        csv += `\nINDICATOR DISTRIBUTIONS\n`;
+        csv += `Indicator,N,Median,Q1,Q3,Mean,SD,Min,Max,Concern,Strong\n`;
+        summary.indicators.forEach(ind => {
+            csv += `${ind.id},${distribution(ind, 1)},${ind.concern},${ind.strong}\n`;
+        });
+
+        csv += `\nSTUDENTS (highest concern first)\n`;
+        csv += [`Rank,Student,SessionID,Date,Age(months),Grade,Quality,Level,Score`,
+            ...indicatorIds, ...indicatorIds.map(id => `${id}Rank`), `FollowUp,Reasons`].join(',') + '\n';
+        summary.students.forEach(s => {
+            csv += [
+                s.rank !== null ? s.rank : 'N/A',
+                `"${s.key}"`,
+                s.sessionId,
+                s.startTime,
+                s.ageMonths !== null ? s.ageMonths : 'N/A',
+                s.grade !== null ? s.grade : 'N/A',
+                s.quality || 'N/A',
+                s.level || 'N/A',
+                fmt(s.score, 2),
+                ...indicatorIds.map(id => fmt(s.indicators[id].value, 1)),
+                ...indicatorIds.map(id => s.indicators[id].rank !== null ? s.indicators[id].rank : 'N/A'),
+                s.followUp ? `"${s.followUpReason}"` : 'No',
+                `"${s.reasons.join('; ')}"`
+            ].join(',') + '\n';
+        });
+
+        return 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv);
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Lexiscan-Lite - Test-Retest Consistency
+ * Compares a task with its later repeat (battery `retestOf`) item by item, and measures
+ * RT variability and drift across trial position within each of the two tasks.
+ */
+import { median, iqr, slope } from './stats.js';
+
+export default class ConsistencyAnalyzer {
+    /**
+     * Analyze every test-retest pair in a session.
+     * @param {Object[]} tasks - Scored task records (sessionData.tasks)
+     * @returns {Object[]} - [{ testId, retestId, test, retest, items, drift }]
+     */
+    analyze(tasks) {
+        return tasks
+            .filter(t => t.retestOf)
+            .map(retest => ({ retest, test: tasks.find(t => t.taskId === retest.retestOf) }))
+            .filter(pair => pair.test && pair.test !== pair.retest)
+            .map(({ test, retest }) => this.comparePair(test, retest));
+    }
+
+    // Tasks that take part in a test-retest pair (either side)
+    pairedTasks(tasks) {
+        return tasks.filter(t => t.retestOf || tasks.some(r => r.retestOf === t.taskId));
+    }
+
+    comparePair(test, retest) {
+        const testItems = this.groupByTarget(test.trials);
+        const retestItems = this.groupByTarget(retest.trials);
+
+        // Only letters shown in both tasks are compared; a task may repeat a letter (b, d in Task 3)
+        const items = [...testItems.keys()]
+            .filter(target => retestItems.has(target))
+            .map(target => ({
+                target,
+                test: this.itemStats(testItems.get(target)),
+                retest: this.itemStats(retestItems.get(target))
+            }));
+
+        const matched = trials => trials.filter(t => retestItems.has(t.target) && testItems.has(t.target));
+        const testMatched = this.itemStats(matched(test.trials));
+        const retestMatched = this.itemStats(matched(retest.trials));
+        const difference = (a, b) => a !== null && b !== null ? b - a : null;
+
+        return {
+            testId: test.taskId,
+            retestId: retest.taskId,
+            test: { ...this.variability(test.trials), matched: testMatched },
+            retest: { ...this.variability(retest.trials), matched: retestMatched },
+            items,
+            // Retest minus test on the matched items: negative accuracy drift or positive RT drift = decline
+            drift: {
+                accuracy: difference(testMatched.accuracy, retestMatched.accuracy),
+                medianRT: difference(testMatched.medianRT, retestMatched.medianRT)
+            }
+        };
+    }
+
+    groupByTarget(trials) {
+        const items = new Map();
+        trials.filter(t => !t.invalid).forEach(t => {
+            if (!items.has(t.target)) items.set(t.target, []);
+            items.get(t.target).push(t);
+        });
+        return items;
+    }
+
+    // Accuracy counts timeouts as errors; RTs are from answered trials only
+    itemStats(trials) {
+        const answered = trials.filter(t => !t.wasTimeout && t.reactionTime !== null);
+        return {
+            trials: trials.length,
+            accuracy: trials.length > 0 ? (trials.filter(t => t.isCorrect).length / trials.length) * 100 : null,
+            medianRT: median(answered.map(t => t.reactionTime))
+        };
+    }
+
+    /**
+     * Outlier-resistant RT spread and fatigue slope for one task.
+     * - robustCV: IQR / median - the spread of typical responses, unaffected by a few lapses
+     * - rtSlope: least-squares change in RT per trial position (positive = slowing down)
+     */
+    variability(trials) {
+        const answered = trials.filter(t => !t.invalid && !t.wasTimeout && t.reactionTime !== null);
+        const rts = answered.map(t => t.reactionTime);
+        const mid = median(rts);
+        const spread = iqr(rts);
+
+        return {
+            medianRT: mid,
+            iqr: spread,
+            robustCV: spread !== null && mid > 0 ? (spread / mid) * 100 : null,
+            rtSlope: slope(answered.map(t => t.trialIndex), rts)
+        };
+    }
+}
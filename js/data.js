@@ -3,54 +3,143 @@
  * Handles comprehensive metrics collection for clinical analysis.
  * Records: reaction times, error patterns, confusion matrices, timing distributions.
  */
+import ScoringEngine from './scoring.js';
+import QualityChecker from './quality.js';
+import ConsistencyAnalyzer from './consistency.js';
+import NormsTable from './norms.js';
+import PrintableReport from './print-report.js';
+import registry from './task-types/registry.js';
+import { mean, median, stdDev, iqr } from './stats.js';
+import { FONT_CONDITIONS } from './fonts.js';
+import { createSeed } from './random.js';
+import { classifyError, summarizeErrors, ERROR_TYPES } from './error-taxonomy.js';
+
 export default class DataManager {
     constructor() {
         this.sessionData = {
             id: this.generateSessionId(),
             startTime: new Date().toISOString(),
             endTime: null,
+            // Seed for all randomization (trial order, option layout, masks); replay with ?seed=
+            seed: createSeed(),
+            // Participant intake (age in months, grade, optional anonymous code)
+            participant: { ageMonths: null, grade: null, code: null },
+            norms: null,
+            battery: null,
+            // Recorded phoneme audio pack ({ id, version, voice, failed }); null = speech synthesis only
+            audioPack: null,
+            // Response mode chosen at intake (pointer, keyboard or switch)
+            inputMode: 'pointer',
             tasks: [],
+            // Practice (warmup) tasks - kept for quality checks, never scored
+            practiceTasks: [],
             // Confusion matrix for error pattern analysis
             confusionMatrix: {},
-            // Font comparison data
-            fontComparison: { standard: null, dyslexia: null }
+            // Font comparison data (filled in as compared tasks complete)
+            fontComparison: { firstFont: null, standard: null, dyslexia: null, deltas: null, tasks: [] },
+            // Pauses and crash recoveries
+            interruptions: []
         };
         this.currentTask = null;
-        this.itemStartTime = null; // Per-item timing
+        this.currentTaskType = null; // Task-type plugin for the running task
+        this.scoring = new ScoringEngine();
+        this.quality = new QualityChecker();
+        this.consistency = new ConsistencyAnalyzer();
+        this.norms = new NormsTable();
+        this.sessionData.norms = this.norms.info;
     }
 
     generateSessionId() {
         return 'LS-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 6);
     }
 
+    setParticipant({ ageMonths = null, grade = null, code = null } = {}) {
+        this.sessionData.participant = { ageMonths, grade, code: code || null };
+    }
+
+    setAudioPack(packInfo) {
+        this.sessionData.audioPack = packInfo;
+    }
+
+    setSeed(seed) {
+        this.sessionData.seed = seed;
+    }
+
+    setInputMode(mode) {
+        this.sessionData.inputMode = mode;
+    }
+
+    // Font shown first in a battery font comparison (null when the battery has none)
+    setFirstFont(font) {
+        this.sessionData.fontComparison.firstFont = font;
+    }
+
+    setBattery(batteryInfo) {
+        this.sessionData.battery = { id: batteryInfo.id, version: batteryInfo.version };
+    }
+
+    setNorms(normsTable) {
+        this.norms = normsTable;
+        this.sessionData.norms = normsTable.info;
+    }
+
+    recordInterruption(type, details = {}) {
+        this.sessionData.interruptions.push({ type, at: new Date().toISOString(), ...details });
+    }
+
+    // Serializable state for crash-safe persistence
+    getSnapshot() {
+        return {
+            sessionData: this.sessionData,
+            currentTask: this.currentTask
+        };
+    }
+
+    restore(snapshot) {
+        this.sessionData = snapshot.sessionData;
+        this.currentTask = snapshot.currentTask;
+        this.currentTaskType = snapshot.currentTask ? registry.get(snapshot.currentTask.taskType) : null;
+    }
+
     startTask(taskId, taskType, config = {}) {
         this.currentTask = {
             taskId,
             taskType,
-            font: config.font || 'standard',
+            title: config.title || taskId,
+            font: config.font || null, // null: default stimulus font
+            isWarmup: !!config.isWarmup,
+            retestOf: config.retestOf || null, // id of the earlier task this one repeats
+            orderConstraintsMet: config.orderConstraintsMet !== false, // false: trials ran in an unconstrained shuffle
+            trialConfig: config.trialConfig || null,
             startTime: Date.now(),
             endTime: null,
             trials: [],
             // Summary stats calculated at end
             summary: null
         };
+        this.currentTaskType = registry.get(taskType);
     }
 
+    // Trial timestamps use the performance.now() clock (ms since page load)
     startTrial(target, distractors, trialIndex) {
-        this.itemStartTime = Date.now();
         return {
             trialIndex,
             target,
             distractors,
-            presentedAt: this.itemStartTime
+            presentedAt: performance.now()
         };
     }
 
-    recordResponse(trialData, selected, wasTimeout = false) {
+    // Reset the RT clock to the frame on which the response options were painted
+    markOnset(trialData, timestamp = performance.now()) {
+        trialData.presentedAt = timestamp;
+    }
+
+    recordResponse(trialData, selected, wasTimeout = false, respondedAt = performance.now()) {
         if (!this.currentTask) return;
 
-        const reactionTime = wasTimeout ? null : (Date.now() - this.itemStartTime);
-        const isCorrect = selected === trialData.target;
+        const reactionTime = wasTimeout ? null : (respondedAt - trialData.presentedAt);
+        const isCorrect = selected !== null && this.currentTaskType.isCorrect(trialData, selected);
 
         const trial = {
             ...trialData,
@@ -58,13 +147,20 @@ export default class DataManager {
             isCorrect,
             reactionTime,
             wasTimeout,
-            respondedAt: Date.now()
+            respondedAt
         };
+        this.currentTaskType.annotateTrial(trial);
+
+        // Classify the error as visual or phonological where responses are confusable items
+        if (!isCorrect && selected !== null && this.currentTaskType.errorModality) {
+            trial.errorClass = classifyError(trialData.target, selected, this.currentTaskType.errorModality);
+        }
 
         this.currentTask.trials.push(trial);
 
-        // Update confusion matrix
-        if (!isCorrect && selected !== null) {
+        // Update confusion matrix (practice errors and invalid trials are not scored;
+        // stepwise tasks record their errors as item positions instead)
+        if (!isCorrect && selected !== null && !this.currentTask.isWarmup && !trial.invalid && !this.currentTaskType.stepwise) {
             const key = `${trialData.target}->${selected}`;
             this.sessionData.confusionMatrix[key] = (this.sessionData.confusionMatrix[key] || 0) + 1;
         }
@@ -78,37 +174,137 @@ export default class DataManager {
         this.currentTask.endTime = Date.now();
         const trials = this.currentTask.trials;
 
-        // Calculate summary statistics
-        const completed = trials.filter(t => !t.wasTimeout);
-        const correct = trials.filter(t => t.isCorrect);
+        // Calculate summary statistics (invalid trials, e.g. audio that never played, are excluded)
+        const valid = trials.filter(t => !t.invalid);
+        const completed = valid.filter(t => !t.wasTimeout);
+        const correct = valid.filter(t => t.isCorrect);
         const reactionTimes = completed.map(t => t.reactionTime).filter(t => t !== null);
 
         this.currentTask.summary = {
             totalTrials: trials.length,
+            invalidTrials: trials.length - valid.length,
             completedTrials: completed.length,
             correctCount: correct.length,
-            accuracy: completed.length > 0 ? (correct.length / completed.length) * 100 : 0,
-            timeouts: trials.filter(t => t.wasTimeout).length,
+            // null, not 0, when nothing was answered (e.g. every trial's audio failed): no evidence either way
+            accuracy: completed.length > 0 ? (correct.length / completed.length) * 100 : null,
+            timeouts: valid.filter(t => t.wasTimeout).length,
             meanRT: reactionTimes.length > 0 ? reactionTimes.reduce((a, b) => a + b, 0) / reactionTimes.length : null,
             medianRT: this.median(reactionTimes),
             rtStdDev: this.stdDev(reactionTimes),
-            duration: (this.currentTask.endTime - this.currentTask.startTime) / 1000
+            // RTs are only comparable within one input modality
+            inputModalities: [...new Set(completed.map(t => t.inputModality).filter(Boolean))],
+            duration: (this.currentTask.endTime - this.currentTask.startTime) / 1000,
+            // Classified errors (null for tasks whose responses are not confusable items)
+            errorTypes: this.currentTaskType.errorModality ? summarizeErrors(valid).byType : null,
+            // Task-type specific metrics
+            metrics: this.currentTaskType.summarize(trials, this.currentTask)
         };
 
-        this.sessionData.tasks.push(this.currentTask);
         const completedTask = this.currentTask;
         this.currentTask = null;
+        this.currentTaskType = null;
+
+        if (completedTask.isWarmup) {
+            this.sessionData.practiceTasks.push(completedTask);
+            return completedTask;
+        }
+
+        // Age-referenced comparison (null when no norms exist for this task/age)
+        completedTask.summary.norms = this.norms.score(
+            completedTask.taskId,
+            completedTask.summary,
+            this.sessionData.participant.ageMonths
+        );
+
+        this.sessionData.tasks.push(completedTask);
+        if (completedTask.font) {
+            this.sessionData.fontComparison = this.calculateFontComparison();
+        }
         return completedTask;
     }
 
-    // Calculate attention stability score (variance in RT across repeated tasks)
+    // RT variability over a task and its repeat (battery `retestOf`), so spoken-stimulus
+    // latencies and chart naming times never mix with the visual letter-match RTs
     calculateAttentionStability() {
-        const allRTs = this.sessionData.tasks.flatMap(t =>
-            t.trials.filter(tr => tr.reactionTime !== null).map(tr => tr.reactionTime)
-        );
+        const tasks = this.consistency.pairedTasks(this.sessionData.tasks);
+        const allRTs = tasks.flatMap(t => t.trials
+            .filter(tr => tr.reactionTime !== null && !tr.invalid)
+            .map(tr => tr.reactionTime));
+        const spread = iqr(allRTs);
+        const mid = median(allRTs);
         return {
+            tasks: tasks.map(t => t.taskId),
             overallStdDev: this.stdDev(allRTs),
-            coefficientOfVariation: allRTs.length > 0 ? (this.stdDev(allRTs) / this.mean(allRTs)) * 100 : null
+            coefficientOfVariation: allRTs.length > 1 ? (this.stdDev(allRTs) / this.mean(allRTs)) * 100 : null,
+            medianRT: mid,
+            iqr: spread,
+            robustCV: spread !== null && mid > 0 ? (spread / mid) * 100 : null
+        };
+    }
+
+    // Item-level comparison of each repeated task with its original
+    calculateConsistency() {
+        return this.consistency.analyze(this.sessionData.tasks);
+    }
+
+    // Compare real-word and pseudoword performance in the lexical decision task
+    calculateLexicalComparison() {
+        const task = this.sessionData.tasks.find(t => t.summary.metrics && t.summary.metrics.realWords);
+        if (!task) return null;
+
+        const metrics = task.summary.metrics;
+        return { real: metrics.realWords, pseudo: metrics.pseudowords, signalDetection: metrics.signalDetection };
+    }
+
+    // Rapid naming tasks with their per-chart metrics (one entry per task, e.g. per font condition)
+    calculateRapidNaming() {
+        return this.sessionData.tasks
+            .filter(t => t.summary.metrics && t.summary.metrics.charts)
+            .map(t => ({ taskId: t.taskId, title: t.title, font: t.font, metrics: t.summary.metrics, trials: t.trials }));
+    }
+
+    // Compare tasks run in both fonts; deltas are dyslexia-friendly minus standard
+    calculateFontComparison() {
+        const fontTasks = this.sessionData.tasks.filter(t => t.font);
+        const pairs = [...new Set(fontTasks.map(t => t.taskId))]
+            .map(taskId => ({
+                taskId,
+                standard: fontTasks.find(t => t.taskId === taskId && t.font === FONT_CONDITIONS.STANDARD),
+                dyslexia: fontTasks.find(t => t.taskId === taskId && t.font === FONT_CONDITIONS.DYSLEXIA)
+            }))
+            .filter(pair => pair.standard && pair.dyslexia);
+
+        const delta = (dyslexia, standard) => dyslexia !== null && standard !== null ? dyslexia - standard : null;
+
+        // Pool trials across compared tasks per font
+        const pool = font => {
+            const trials = pairs.flatMap(pair => pair[font].trials);
+            const completed = trials.filter(t => !t.wasTimeout && !t.invalid);
+            return {
+                trials: trials.length,
+                accuracy: completed.length > 0 ? (completed.filter(t => t.isCorrect).length / completed.length) * 100 : null,
+                medianRT: this.median(completed.map(t => t.reactionTime).filter(rt => rt !== null))
+            };
+        };
+
+        const standard = pairs.length > 0 ? pool(FONT_CONDITIONS.STANDARD) : null;
+        const dyslexia = pairs.length > 0 ? pool(FONT_CONDITIONS.DYSLEXIA) : null;
+
+        return {
+            firstFont: this.sessionData.fontComparison.firstFont,
+            standard,
+            dyslexia,
+            deltas: standard && dyslexia ? {
+                accuracy: delta(dyslexia.accuracy, standard.accuracy),
+                medianRT: delta(dyslexia.medianRT, standard.medianRT)
+            } : null,
+            tasks: pairs.map(({ taskId, standard: s, dyslexia: d }) => ({
+                taskId,
+                title: s.title,
+                firstFont: s.startTime <= d.startTime ? FONT_CONDITIONS.STANDARD : FONT_CONDITIONS.DYSLEXIA,
+                accuracyDelta: delta(d.summary.accuracy, s.summary.accuracy),
+                medianRTDelta: delta(d.summary.medianRT, s.summary.medianRT)
+            }))
         };
     }
 
@@ -119,14 +315,49 @@ export default class DataManager {
             .sort((a, b) => b[1] - a[1]);
     }
 
+    // Scored errors by type and domain, session-wide and per task
+    calculateErrorTaxonomy() {
+        const tasks = this.sessionData.tasks.filter(t => t.summary.errorTypes);
+        return {
+            ...summarizeErrors(tasks.flatMap(t => t.trials)),
+            byTask: tasks.map(t => ({
+                taskId: t.taskId,
+                title: t.title,
+                font: t.font,
+                modality: registry.get(t.taskType).errorModality,
+                byType: t.summary.errorTypes
+            }))
+        };
+    }
+
+    // Combine task summaries into weighted indicators and an overall screening flag
+    calculateScreeningOutcome() {
+        return this.scoring.score(this.sessionData, this.calculateAttentionStability());
+    }
+
+    // Response-pattern checks that decide whether the results can be trusted
+    calculateQuality() {
+        return this.quality.check(this.sessionData);
+    }
+
     exportJSON() {
         this.sessionData.endTime = new Date().toISOString();
+        this.sessionData.quality = this.calculateQuality();
         this.sessionData.attentionStability = this.calculateAttentionStability();
+        this.sessionData.consistency = this.calculateConsistency();
         this.sessionData.repeatedConfusions = this.getRepeatedConfusions();
+        this.sessionData.errorTaxonomy = this.calculateErrorTaxonomy();
+        this.sessionData.screeningOutcome = this.calculateScreeningOutcome();
 
         return JSON.stringify(this.sessionData, null, 2);
     }
 
+    exportHTML() {
+        this.sessionData.endTime = new Date().toISOString();
+        const html = new PrintableReport().build(this);
+        return 'data:text/html;charset=utf-8,' + encodeURIComponent(html);
+    }
+
     exportCSV() {
         this.sessionData.endTime = new Date().toISOString();
         let csv = '';
@@ -134,28 +365,174 @@ export default class DataManager {
         // Header info
         csv += `Lexiscan-Lite Screening Report\n`;
         csv += `Session ID,${this.sessionData.id}\n`;
-        csv += `Date,${this.sessionData.startTime}\n\n`;
+        csv += `Date,${this.sessionData.startTime}\n`;
+        const participant = this.sessionData.participant;
+        csv += `Participant Code,${participant.code ? `"${participant.code}"` : 'N/A'}\n`;
+        csv += `Age (months),${participant.ageMonths !== null ? participant.ageMonths : 'N/A'}\n`;
+        csv += `Grade,${participant.grade !== null ? participant.grade : 'N/A'}\n`;
+        csv += `Input Mode,${this.sessionData.inputMode}\n`;
+        csv += `Seed,${this.sessionData.seed}\n`;
+        const pack = this.sessionData.audioPack;
+        csv += `Audio Pack,${pack ? `"${pack.id} ${pack.version}${pack.voice ? ` (${pack.voice})` : ''}"` : 'None (speech synthesis)'}\n`;
+        csv += `Battery,${this.sessionData.battery ? `${this.sessionData.battery.id} ${this.sessionData.battery.version}` : 'N/A'}\n`;
+        csv += `Norms,${this.sessionData.norms ? `${this.sessionData.norms.id} ${this.sessionData.norms.version || ''}`.trim() : 'N/A'}\n\n`;
+
+        // Session Validity (first, so an untrustworthy result is never read without it)
+        const quality = this.calculateQuality();
+        csv += `SESSION VALIDITY\n`;
+        csv += `Status,${quality.status.toUpperCase()}\n`;
+        if (quality.flags.length === 0) {
+            csv += `No quality flags raised\n`;
+        } else {
+            csv += `Flag,Severity,Detail\n`;
+            quality.flags.forEach(flag => {
+                csv += `${flag.id},${flag.severity},"${flag.message}"\n`;
+            });
+        }
+        csv += `\n`;
+
+        // Screening Outcome
+        const outcome = this.calculateScreeningOutcome();
+        csv += `SCREENING OUTCOME\n`;
+        csv += `Overall Flag,${outcome.level ? outcome.level.toUpperCase() : 'N/A'}\n`;
+        csv += `Weighted Score,${outcome.score !== null ? outcome.score.toFixed(2) : 'N/A'}\n`;
+        csv += `Indicator,Value,Level,Weight\n`;
+        outcome.indicators.forEach(ind => {
+            csv += [
+                `"${ind.label}"`,
+                ind.available ? ind.value.toFixed(1) + ind.unit.trim() : 'N/A',
+                ind.available ? ind.level : 'N/A',
+                ind.weight
+            ].join(',') + '\n';
+        });
+        outcome.reasons.forEach(reason => {
+            csv += `Reason,"${reason}"\n`;
+        });
+        outcome.caveats.forEach(caveat => {
+            csv += `Caveat,"${caveat}"\n`;
+        });
+        csv += `\n`;
 
         // Task Summary
         csv += `TASK SUMMARY\n`;
-        csv += `Task,Type,Font,Trials,Correct,Accuracy(%),MeanRT(ms),MedianRT(ms),RTStdDev,Timeouts\n`;
+        csv += `Task,Type,Font,Trials,Correct,Accuracy(%),MeanRT(ms),MedianRT(ms),RTStdDev,Timeouts,Invalid,AccuracyZ,AccuracyPctl,RTZ,RTPctl,OrderConstraintsMet\n`;
+
+        const fmt = (value, digits) => value !== null && value !== undefined ? value.toFixed(digits) : 'N/A';
 
         this.sessionData.tasks.forEach((task, i) => {
             const s = task.summary;
+            const n = s.norms || {};
             csv += [
                 i + 1,
                 task.taskType,
-                task.font,
+                task.font || 'default',
                 s.totalTrials,
                 s.correctCount,
-                s.accuracy.toFixed(1),
+                s.accuracy !== null ? s.accuracy.toFixed(1) : 'N/A',
                 s.meanRT ? s.meanRT.toFixed(0) : 'N/A',
                 s.medianRT ? s.medianRT.toFixed(0) : 'N/A',
                 s.rtStdDev ? s.rtStdDev.toFixed(0) : 'N/A',
-                s.timeouts
+                s.timeouts,
+                s.invalidTrials,
+                fmt(n.accuracyZ, 2),
+                fmt(n.accuracyPercentile, 0),
+                fmt(n.rtZ, 2),
+                fmt(n.rtPercentile, 0),
+                task.orderConstraintsMet !== false
             ].join(',') + '\n';
         });
 
+        // Task-type specific metrics (flattened, e.g. realWords.accuracy)
+        const metricRows = this.sessionData.tasks.flatMap((task, i) =>
+            this.flattenMetrics(task.summary.metrics).map(([name, value]) => [i + 1, task.taskId, name, value])
+        );
+        if (metricRows.length > 0) {
+            csv += `\nTASK-SPECIFIC METRICS\n`;
+            csv += `Task,TaskId,Metric,Value\n`;
+            metricRows.forEach(([index, taskId, name, value]) => {
+                csv += [
+                    index,
+                    taskId,
+                    name,
+                    typeof value === 'number' ? Number(value.toFixed(3)) : (value === null ? 'N/A' : `"${value}"`)
+                ].join(',') + '\n';
+            });
+        }
+
+        // Lexical Decision (real words vs pseudowords, signal detection)
+        const lexical = this.calculateLexicalComparison();
+        if (lexical) {
+            const sdt = lexical.signalDetection;
+            csv += `\nLEXICAL DECISION\n`;
+            csv += `Condition,Trials,Accuracy(%),MedianRT(ms)\n`;
+            csv += `Real words,${lexical.real.trials},${fmt(lexical.real.accuracy, 1)},${fmt(lexical.real.medianRT, 0)}\n`;
+            csv += `Pseudowords,${lexical.pseudo.trials},${fmt(lexical.pseudo.accuracy, 1)},${fmt(lexical.pseudo.medianRT, 0)}\n`;
+            csv += `Hits,${sdt.hits}\n`;
+            csv += `Misses,${sdt.misses}\n`;
+            csv += `False Alarms,${sdt.falseAlarms}\n`;
+            csv += `Correct Rejections,${sdt.correctRejections}\n`;
+            csv += `Hit Rate (corrected),${fmt(sdt.hitRate, 3)}\n`;
+            csv += `False Alarm Rate (corrected),${fmt(sdt.falseAlarmRate, 3)}\n`;
+            csv += `d',${fmt(sdt.dPrime, 2)}\n`;
+            csv += `Criterion c,${fmt(sdt.criterion, 2)}\n`;
+            csv += `Note,"Real words are the signal. Rates use the log-linear correction; negative c means a bias towards YES."\n`;
+        }
+
+        // Rapid Naming (per chart, then per item)
+        const rapidNaming = this.calculateRapidNaming();
+        if (rapidNaming.length > 0) {
+            csv += `\nRAPID NAMING\n`;
+            csv += `Task,Chart,Completed,TotalTime(s),ItemsPerSecond,MedianInterval(ms),IntervalSD(ms),Errors,ErrorPositions\n`;
+            rapidNaming.forEach(task => {
+                Object.entries(task.metrics.charts).forEach(([chart, m]) => {
+                    csv += [
+                        task.taskId,
+                        chart,
+                        m.completedCharts > 0,
+                        m.totalTime !== null ? fmt(m.totalTime / 1000, 2) : 'N/A',
+                        fmt(m.itemsPerSecond, 2),
+                        fmt(m.medianInterval, 0),
+                        fmt(m.intervalStdDev, 0),
+                        m.errors,
+                        `"${m.errorPositions.join(' ')}"`
+                    ].join(',') + '\n';
+                });
+            });
+            csv += `Task,Chart,Position,Item,Interval(ms),Error\n`;
+            rapidNaming.forEach(task => {
+                task.trials.forEach((trial, i) => {
+                    trial.interResponseIntervals.forEach((interval, position) => {
+                        csv += [
+                            task.taskId,
+                            trial.label || i + 1,
+                            position + 1,
+                            `"${trial.items[position]}"`,
+                            interval.toFixed(1),
+                            trial.errorPositions.includes(position)
+                        ].join(',') + '\n';
+                    });
+                });
+            });
+            csv += `Note,"Intervals run from one Next press to the next; the first runs from chart onset. Errors are marked by the supervisor."\n`;
+        }
+
+        // Font Comparison
+        const fonts = this.sessionData.fontComparison;
+        if (fonts.deltas) {
+            csv += `\nFONT COMPARISON\n`;
+            csv += `First Font,${fonts.firstFont || 'N/A'}\n`;
+            csv += `Condition,Trials,Accuracy(%),MedianRT(ms)\n`;
+            [FONT_CONDITIONS.STANDARD, FONT_CONDITIONS.DYSLEXIA].forEach(font => {
+                csv += [font, fonts[font].trials, fmt(fonts[font].accuracy, 1), fmt(fonts[font].medianRT, 0)].join(',') + '\n';
+            });
+            csv += `Delta (dyslexia - standard),,${fmt(fonts.deltas.accuracy, 1)},${fmt(fonts.deltas.medianRT, 0)}\n`;
+            csv += `TaskId,FirstFont,AccuracyDelta,MedianRTDelta\n`;
+            fonts.tasks.forEach(t => {
+                csv += [t.taskId, t.firstFont, fmt(t.accuracyDelta, 1), fmt(t.medianRTDelta, 0)].join(',') + '\n';
+            });
+            csv += `Note,"Positive accuracy or negative RT deltas favour the dyslexia-friendly font; a single session is indicative only."\n`;
+        }
+
         // Error Pattern Analysis
         csv += `\nERROR PATTERN ANALYSIS\n`;
         csv += `Confusion,Count\n`;
@@ -168,27 +545,88 @@ export default class DataManager {
             });
         }
 
+        // Error Taxonomy (session totals, per task, then each classified confusion)
+        const taxonomy = this.calculateErrorTaxonomy();
+        const types = Object.values(ERROR_TYPES);
+        csv += `\nERROR TAXONOMY\n`;
+        csv += `Domain,Errors\n`;
+        Object.entries(taxonomy.byDomain).forEach(([domain, count]) => {
+            csv += `${domain},${count}\n`;
+        });
+        csv += `Task,Modality,${types.join(',')}\n`;
+        taxonomy.byTask.forEach(task => {
+            csv += [task.taskId + (task.font ? ` (${task.font})` : ''), task.modality, ...types.map(type => task.byType[type])].join(',') + '\n';
+        });
+        csv += `Target,Selected,Type,Detail,Count\n`;
+        taxonomy.confusions.forEach(c => {
+            csv += [`"${c.target}"`, `"${c.selected}"`, c.type, c.detail ? `"${c.detail}"` : 'N/A', c.count].join(',') + '\n';
+        });
+
         // Attention Stability
         const stability = this.calculateAttentionStability();
         csv += `\nATTENTION STABILITY\n`;
         csv += `Metric,Value\n`;
+        csv += `Tasks,"${stability.tasks.length > 0 ? stability.tasks.join(' + ') : 'N/A'}"\n`;
         csv += `RT Standard Deviation,${stability.overallStdDev ? stability.overallStdDev.toFixed(0) + 'ms' : 'N/A'}\n`;
         csv += `Coefficient of Variation,${stability.coefficientOfVariation ? stability.coefficientOfVariation.toFixed(1) + '%' : 'N/A'}\n`;
+        csv += `RT Median,${stability.medianRT !== null ? stability.medianRT.toFixed(0) + 'ms' : 'N/A'}\n`;
+        csv += `RT Interquartile Range,${stability.iqr !== null ? stability.iqr.toFixed(0) + 'ms' : 'N/A'}\n`;
+        csv += `Robust CV (IQR/Median),${stability.robustCV !== null ? stability.robustCV.toFixed(1) + '%' : 'N/A'}\n`;
+
+        // Test-retest consistency (item-level, repeated letters only)
+        this.calculateConsistency().forEach(pair => {
+            csv += `\nTEST-RETEST CONSISTENCY (${pair.testId} -> ${pair.retestId})\n`;
+            csv += `Metric,Test,Retest,Drift (retest - test)\n`;
+            csv += `Accuracy on matched items (%),${fmt(pair.test.matched.accuracy, 1)},${fmt(pair.retest.matched.accuracy, 1)},${fmt(pair.drift.accuracy, 1)}\n`;
+            csv += `Median RT on matched items (ms),${fmt(pair.test.matched.medianRT, 0)},${fmt(pair.retest.matched.medianRT, 0)},${fmt(pair.drift.medianRT, 0)}\n`;
+            csv += `RT IQR (ms),${fmt(pair.test.iqr, 0)},${fmt(pair.retest.iqr, 0)},\n`;
+            csv += `Robust CV (%),${fmt(pair.test.robustCV, 1)},${fmt(pair.retest.robustCV, 1)},\n`;
+            csv += `RT Slope (ms per trial),${fmt(pair.test.rtSlope, 1)},${fmt(pair.retest.rtSlope, 1)},\n`;
+            csv += `Item,TestTrials,TestAccuracy(%),TestMedianRT(ms),RetestTrials,RetestAccuracy(%),RetestMedianRT(ms)\n`;
+            pair.items.forEach(item => {
+                csv += [`"${item.target}"`,
+                    item.test.trials, fmt(item.test.accuracy, 0), fmt(item.test.medianRT, 0),
+                    item.retest.trials, fmt(item.retest.accuracy, 0), fmt(item.retest.medianRT, 0)].join(',') + '\n';
+            });
+        });
 
         // Detailed Trial Log
         csv += `\nDETAILED TRIAL LOG\n`;
-        csv += `Task,Trial,Target,Selected,Correct,RT(ms),Timeout\n`;
+        csv += `Task,Trial,Item,Target,Selected,Correct,RT(ms),Timeout,IntendedExposure(ms),MeasuredExposure(ms),MaskType,SOA(ms),AudioSource,AudioVoice,AudioOnset(ms),AudioOffset(ms),RTFromAudioOnset(ms),RTFromAudioOffset(ms),Replayed,Valid,ErrorType,InputModality,Layout,OptionOrder,TargetPosition,SelectedPosition\n`;
+
+        // Screen positions are 1-based in the CSV (0-based in the JSON export)
+        const position = index => index !== null && index !== undefined && index >= 0 ? index + 1 : 'N/A';
 
         this.sessionData.tasks.forEach((task, taskIndex) => {
             task.trials.forEach((trial, trialIndex) => {
+                const p = trial.presentation || {};
                 csv += [
                     taskIndex + 1,
                     trialIndex + 1,
+                    trial.itemIndex !== undefined ? trial.itemIndex + 1 : 'N/A',
                     `"${trial.target}"`,
                     `"${trial.selected || 'TIMEOUT'}"`,
                     trial.isCorrect,
-                    trial.reactionTime || 'N/A',
-                    trial.wasTimeout
+                    trial.reactionTime !== null ? trial.reactionTime.toFixed(1) : 'N/A',
+                    trial.wasTimeout,
+                    p.intendedDuration !== undefined ? p.intendedDuration : 'N/A',
+                    p.measuredDuration !== undefined ? p.measuredDuration.toFixed(1) : 'N/A',
+                    p.maskType || 'N/A',
+                    p.soaMeasured !== undefined ? p.soaMeasured.toFixed(1) : 'N/A',
+                    p.audio ? p.audio.source : 'N/A',
+                    p.audio && p.audio.voice ? `"${p.audio.voice}"` : 'N/A',
+                    p.audio ? fmt(p.audio.onset, 1) : 'N/A',
+                    p.audio ? fmt(p.audio.offset, 1) : 'N/A',
+                    fmt(trial.rtFromAudioOnset, 1),
+                    fmt(trial.rtFromAudioOffset, 1),
+                    !!trial.replay,
+                    trial.invalid ? `"false (${trial.invalidReason})"` : true,
+                    trial.errorClass ? trial.errorClass.type : 'N/A',
+                    trial.inputModality || 'N/A',
+                    trial.layout || 'N/A',
+                    trial.optionOrder ? `"${trial.optionOrder.join(' ')}"` : 'N/A',
+                    position(trial.targetPosition),
+                    position(trial.selectedPosition)
                 ].join(',') + '\n';
             });
         });
@@ -197,28 +635,34 @@ export default class DataManager {
         csv += `\nCLINICAL INTERPRETATION NOTES\n`;
         csv += `"This is a SCREENING tool - not a diagnosis."\n`;
         csv += `"Repeated confusions (e.g. b->d) suggest phonological/visual processing issues."\n`;
-        csv += `"High RT variance (CV > 30%) may indicate attention instability."\n`;
+        csv += `"Attention stability uses only the letter-match task and its repeat; CV above 30% may indicate attention instability."\n`;
+        csv += `"Robust CV (IQR/median) is less affected by a few slow responses; a positive RT slope means responses slowed during the task."\n`;
         csv += `"Failure on basic literacy tasks suggests instructional gaps."\n`;
+        csv += `"Z-scores and percentiles are age-referenced; higher RT percentiles mean faster responses."\n`;
 
         return 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv);
     }
 
+    flattenMetrics(metrics, prefix = '') {
+        if (!metrics) return [];
+        return Object.entries(metrics).flatMap(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            return value !== null && typeof value === 'object' && !Array.isArray(value)
+                ? this.flattenMetrics(value, name)
+                : [[name, Array.isArray(value) ? value.join(' ') : value]];
+        });
+    }
+
     // Utility functions
     mean(arr) {
-        return arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+        return mean(arr);
     }
 
     median(arr) {
-        if (arr.length === 0) return null;
-        const sorted = [...arr].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        return median(arr);
     }
 
     stdDev(arr) {
-        if (arr.length < 2) return null;
-        const m = this.mean(arr);
-        const squareDiffs = arr.map(v => Math.pow(v - m, 2));
-        return Math.sqrt(this.mean(squareDiffs));
+        return stdDev(arr);
     }
 }
@@ -0,0 +1,159 @@
+/**
+ * Lexiscan-Lite - Error Taxonomy
+ * Classifies each scored error so a b->d confusion can be read as visual (mirror reversal)
+ * or phonological (place of articulation), depending on whether the item was seen or heard.
+ */
+
+export const ERROR_MODALITIES = {
+    VISUAL: 'visual',       // stimulus was seen
+    AUDITORY: 'auditory'    // stimulus was heard
+};
+
+export const ERROR_TYPES = {
+    MIRROR_REVERSAL: 'mirror_reversal',     // b<->d, p<->q
+    INVERSION: 'inversion',                 // b<->p, d<->q, n<->u, m<->w
+    VISUAL_SIMILARITY: 'visual_similarity', // m<->rn, w<->vv, n<->h
+    PHONETIC: 'phonetic',                   // heard b<->p (voicing), k<->t (place)
+    WORD_REVERSAL: 'word_reversal',         // was<->saw
+    TRANSPOSITION: 'transposition',         // the<->teh
+    OTHER: 'other'
+};
+
+export const ERROR_DOMAINS = {
+    VISUAL: 'visual',
+    PHONOLOGICAL: 'phonological',
+    UNCLASSIFIED: 'unclassified'
+};
+
+export const ERROR_TYPE_LABELS = {
+    [ERROR_TYPES.MIRROR_REVERSAL]: 'Mirror reversal',
+    [ERROR_TYPES.INVERSION]: 'Vertical inversion',
+    [ERROR_TYPES.VISUAL_SIMILARITY]: 'Letter-shape similarity',
+    [ERROR_TYPES.PHONETIC]: 'Phonetic (voicing/place)',
+    [ERROR_TYPES.WORD_REVERSAL]: 'Whole-word reversal',
+    [ERROR_TYPES.TRANSPOSITION]: 'Letter transposition',
+    [ERROR_TYPES.OTHER]: 'Other'
+};
+
+const TYPE_DOMAINS = {
+    [ERROR_TYPES.MIRROR_REVERSAL]: ERROR_DOMAINS.VISUAL,
+    [ERROR_TYPES.INVERSION]: ERROR_DOMAINS.VISUAL,
+    [ERROR_TYPES.VISUAL_SIMILARITY]: ERROR_DOMAINS.VISUAL,
+    [ERROR_TYPES.WORD_REVERSAL]: ERROR_DOMAINS.VISUAL,
+    [ERROR_TYPES.TRANSPOSITION]: ERROR_DOMAINS.VISUAL,
+    [ERROR_TYPES.PHONETIC]: ERROR_DOMAINS.PHONOLOGICAL,
+    [ERROR_TYPES.OTHER]: ERROR_DOMAINS.UNCLASSIFIED
+};
+
+const MIRROR_PAIRS = [['b', 'd'], ['p', 'q']];
+const INVERSION_PAIRS = [['b', 'p'], ['d', 'q'], ['n', 'u'], ['m', 'w']];
+const SHAPE_PAIRS = [
+    ['m', 'rn'], ['m', 'nn'], ['w', 'vv'], ['w', 'uu'], ['d', 'cl'],
+    ['n', 'h'], ['n', 'm'], ['u', 'v'], ['v', 'w'], ['c', 'e'], ['i', 'l'], ['f', 't'], ['a', 'o']
+];
+
+// Consonant letters as heard: voicing, place and manner of articulation
+const PHONETIC_FEATURES = {
+    b: { voiced: true, place: 'labial', manner: 'stop' },
+    p: { voiced: false, place: 'labial', manner: 'stop' },
+    d: { voiced: true, place: 'alveolar', manner: 'stop' },
+    t: { voiced: false, place: 'alveolar', manner: 'stop' },
+    g: { voiced: true, place: 'velar', manner: 'stop' },
+    k: { voiced: false, place: 'velar', manner: 'stop' },
+    c: { voiced: false, place: 'velar', manner: 'stop' },
+    v: { voiced: true, place: 'labiodental', manner: 'fricative' },
+    f: { voiced: false, place: 'labiodental', manner: 'fricative' },
+    th: { voiced: false, place: 'dental', manner: 'fricative' },
+    z: { voiced: true, place: 'alveolar', manner: 'fricative' },
+    s: { voiced: false, place: 'alveolar', manner: 'fricative' },
+    sh: { voiced: false, place: 'postalveolar', manner: 'fricative' },
+    j: { voiced: true, place: 'postalveolar', manner: 'affricate' },
+    ch: { voiced: false, place: 'postalveolar', manner: 'affricate' },
+    m: { voiced: true, place: 'labial', manner: 'nasal' },
+    n: { voiced: true, place: 'alveolar', manner: 'nasal' }
+};
+
+const inPairs = (pairs, a, b) => pairs.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+
+const result = (type, detail = null) => ({ type, domain: TYPE_DOMAINS[type], detail });
+
+/**
+ * Classify one error.
+ * @param {string} target - Correct response
+ * @param {string} selected - Chosen response
+ * @param {string} modality - ERROR_MODALITIES value of the task
+ * @returns {Object|null} - { type, domain, detail }, or null for correct or missing responses
+ */
+export function classifyError(target, selected, modality) {
+    if (selected === null || selected === undefined || selected === target) return null;
+
+    const a = target.toLowerCase();
+    const b = selected.toLowerCase();
+
+    // Heard items: only speech-sound confusions are meaningful
+    if (modality === ERROR_MODALITIES.AUDITORY) {
+        return classifyPhonetic(a, b) || result(ERROR_TYPES.OTHER);
+    }
+
+    if (a.length > 1 && a.length === b.length) {
+        if ([...a].reverse().join('') === b) return result(ERROR_TYPES.WORD_REVERSAL);
+        if ([...a].sort().join('') === [...b].sort().join('')) return result(ERROR_TYPES.TRANSPOSITION);
+
+        // One substituted letter inside a word (dig -> big) is classified by that letter pair
+        const diffs = [...a].map((ch, i) => i).filter(i => a[i] !== b[i]);
+        if (diffs.length === 1) {
+            const letter = classifyLetters(a[diffs[0]], b[diffs[0]]);
+            if (letter) return { ...letter, detail: `${a[diffs[0]]}/${b[diffs[0]]} in word` };
+        }
+        return result(ERROR_TYPES.OTHER);
+    }
+
+    return classifyLetters(a, b) || result(ERROR_TYPES.OTHER);
+}
+
+function classifyLetters(a, b) {
+    if (inPairs(MIRROR_PAIRS, a, b)) return result(ERROR_TYPES.MIRROR_REVERSAL, `${a}/${b}`);
+    if (inPairs(INVERSION_PAIRS, a, b)) return result(ERROR_TYPES.INVERSION, `${a}/${b}`);
+    if (inPairs(SHAPE_PAIRS, a, b)) return result(ERROR_TYPES.VISUAL_SIMILARITY, `${a}/${b}`);
+    return null;
+}
+
+// Same manner of articulation, differing in voicing and/or place
+function classifyPhonetic(a, b) {
+    const x = PHONETIC_FEATURES[a];
+    const y = PHONETIC_FEATURES[b];
+    if (!x || !y || x.manner !== y.manner) return null;
+
+    const features = [];
+    if (x.voiced !== y.voiced) features.push('voicing');
+    if (x.place !== y.place) features.push('place');
+    return features.length > 0 ? result(ERROR_TYPES.PHONETIC, features.join('+')) : null;
+}
+
+/**
+ * Count classified errors.
+ * @param {Object[]} trials - Recorded trials (errors carry `errorClass`)
+ * @returns {Object} - { byType, byDomain, confusions: [{ target, selected, type, detail, count }] }
+ */
+export function summarizeErrors(trials) {
+    const byType = Object.fromEntries(Object.values(ERROR_TYPES).map(type => [type, 0]));
+    const byDomain = Object.fromEntries(Object.values(ERROR_DOMAINS).map(domain => [domain, 0]));
+    const confusions = new Map();
+
+    trials.filter(t => t.errorClass && !t.invalid).forEach(t => {
+        const { type, domain, detail } = t.errorClass;
+        byType[type]++;
+        byDomain[domain]++;
+
+        const key = `${t.target}->${t.selected}:${type}`;
+        const entry = confusions.get(key) || { target: t.target, selected: t.selected, type, detail, count: 0 };
+        entry.count++;
+        confusions.set(key, entry);
+    });
+
+    return {
+        byType,
+        byDomain,
+        confusions: [...confusions.values()].sort((x, y) => y.count - x.count)
+    };
+}
@@ -0,0 +1,55 @@
+/**
+ * Lexiscan-Lite - Font Conditions
+ * Standard vs dyslexia-friendly font conditions for within-session A/B comparison.
+ */
+
+export const FONT_CONDITIONS = {
+    STANDARD: 'standard',
+    DYSLEXIA: 'dyslexia'
+};
+
+export const FONT_LABELS = {
+    [FONT_CONDITIONS.STANDARD]: 'Standard font',
+    [FONT_CONDITIONS.DYSLEXIA]: 'Dyslexia-friendly font'
+};
+
+// How the font order is chosen for a session
+export const FONT_ORDERS = {
+    COUNTERBALANCED: 'counterbalanced', // random per session
+    STANDARD_FIRST: 'standard-first',
+    DYSLEXIA_FIRST: 'dyslexia-first'
+};
+
+/**
+ * Pick the first font for a session.
+ * @param {string} order - One of FONT_ORDERS
+ * @param {Function} random - Returns a float in [0, 1)
+ * @returns {string} - FONT_CONDITIONS value shown first
+ */
+export function pickFirstFont(order, random = Math.random) {
+    if (order === FONT_ORDERS.STANDARD_FIRST) return FONT_CONDITIONS.STANDARD;
+    if (order === FONT_ORDERS.DYSLEXIA_FIRST) return FONT_CONDITIONS.DYSLEXIA;
+    return random() < 0.5 ? FONT_CONDITIONS.STANDARD : FONT_CONDITIONS.DYSLEXIA;
+}
+
+/**
+ * Expand a task list so each compared task runs once per font.
+ * The first font alternates between compared tasks (ABBA) so practice effects
+ * do not all favour the same font.
+ * @param {Object[]} tasks - Battery task definitions
+ * @param {string[]} comparedIds - Ids of the tasks to repeat in both fonts
+ * @param {string} firstFont - Font for the first compared task
+ * @returns {Object[]} - Task definitions with `font` set on the compared tasks
+ */
+export function expandFontConditions(tasks, comparedIds, firstFont) {
+    const other = font => font === FONT_CONDITIONS.STANDARD ? FONT_CONDITIONS.DYSLEXIA : FONT_CONDITIONS.STANDARD;
+    let next = firstFont;
+
+    return tasks.flatMap(task => {
+        if (!comparedIds.includes(task.id)) return [task];
+
+        const pair = [next, other(next)].map(font => ({ ...task, font }));
+        next = other(next);
+        return pair;
+    });
+}
@@ -3,13 +3,30 @@
  * State machine for clinical screening flow with proper timing, masking, and neutral feedback.
  */
 import AudioManager from './audio.js';
+import AudioPack from './audio-pack.js';
 import DataManager from './data.js';
-import { TASKS, TASK_TYPES, PHONEME_MAP } from './tasks.js';
+import NormsTable from './norms.js';
+import ResultsReport from './report.js';
+import HistoryReport from './history-report.js';
+import SessionHistory from './longitudinal.js';
+import CohortReport from './cohort-report.js';
+import Cohort from './cohort.js';
+import ItemReport from './item-report.js';
+import ItemAnalysis, { checkBatteryItems } from './item-analysis.js';
+import Timing from './timing.js';
+import Battery from './battery.js';
+import SessionStore from './persistence.js';
+import InputManager from './input.js';
+import { FONT_CONDITIONS, pickFirstFont } from './fonts.js';
+import Random, { parseSeed } from './random.js';
+import registry from './task-types/registry.js';
 
 const STATES = {
     IDLE: 'idle',
+    INTAKE: 'intake',
     INSTRUCTIONS: 'instructions',
     RUNNING: 'running',
+    PAUSED: 'paused',
     TRIAL_STIMULUS: 'trial_stimulus',
     TRIAL_RESPONSE: 'trial_response',
     TRIAL_TRANSITION: 'trial_transition',
@@ -21,25 +38,50 @@ export default class GameEngine {
     constructor() {
         this.audio = new AudioManager();
         this.data = new DataManager();
+        this.timing = new Timing();
+        this.store = new SessionStore();
+        this.input = new InputManager((value, btn, event, details) => this.handleResponse(value, btn, event, details));
 
+        this.battery = null;
+        this.sessionTasks = []; // Battery tasks in running order (font conditions expanded)
         this.state = STATES.IDLE;
         this.currentTaskIndex = 0;
         this.currentTask = null;
+        this.currentTaskType = null;
         this.currentTrialIndex = 0;
         this.currentTrialData = null;
         this.trialTimeout = null;
+        this.transitionTimeout = null;
         this.inputLocked = false;
+        this.isPaused = false;
+        this.trialToken = 0; // Invalidates in-flight trial presentations after a pause
+        this.resumePoint = null; // { trialIndex } when continuing an interrupted task
+        this.pendingResume = null;
+        this.hiddenAt = null; // performance.now() when the tab was hidden mid-task
+        this.history = null; // SessionHistory shown on the history screen
+        this.historyReturnScreen = 'landing';
+        this.cohort = null; // Cohort shown on the class summary screen
+        this.itemAnalysis = null; // ItemAnalysis shown on the item analysis screen
+        this.trialRandom = new Random(this.data.sessionData.seed); // Re-derived for every trial
 
         this.cacheDOM();
+        this.report = new ResultsReport(this.ui.resultsReport);
+        this.historyReport = new HistoryReport(this.ui.historyReport);
+        this.cohortReport = new CohortReport(this.ui.cohortReport);
+        this.itemReport = new ItemReport(this.ui.itemReport);
         this.bindEvents();
     }
 
     cacheDOM() {
         this.screens = {
             landing: document.getElementById('screen-landing'),
+            intake: document.getElementById('screen-intake'),
             instructions: document.getElementById('screen-instructions'),
             game: document.getElementById('screen-game'),
-            results: document.getElementById('screen-results')
+            results: document.getElementById('screen-results'),
+            history: document.getElementById('screen-history'),
+            cohort: document.getElementById('screen-cohort'),
+            items: document.getElementById('screen-items')
         };
 
         this.ui = {
@@ -47,31 +89,278 @@ export default class GameEngine {
             taskLabel: document.getElementById('task-label'),
             progressText: document.getElementById('progress-text'),
             timerBar: document.getElementById('timer-bar'),
+            pauseOverlay: document.getElementById('pause-overlay'),
 
             // Game Area
             stimulusContainer: document.getElementById('stimulus-container'),
             stimulusText: document.getElementById('stimulus-text'),
+            maskLayer: document.getElementById('mask-layer'),
             gridContainer: document.getElementById('grid-container'),
             audioIcon: document.getElementById('audio-icon'),
+            replayButton: document.getElementById('btn-replay'),
+            itemGrid: document.getElementById('item-grid'),
+            markErrorButton: document.getElementById('btn-mark-error'),
+
+            // Landing
+            batteryName: document.getElementById('battery-name'),
+            batteryFile: document.getElementById('battery-file'),
+            batteryError: document.getElementById('battery-error'),
+            resumePrompt: document.getElementById('resume-prompt'),
+            resumeDetails: document.getElementById('resume-details'),
+
+            // Intake
+            intakeForm: document.getElementById('intake-form'),
+            intakeAgeYears: document.getElementById('intake-age-years'),
+            intakeAgeMonths: document.getElementById('intake-age-months'),
+            intakeGrade: document.getElementById('intake-grade'),
+            intakeCode: document.getElementById('intake-code'),
+            intakeInputMode: document.getElementById('intake-input-mode'),
+            intakeError: document.getElementById('intake-error'),
 
             // Instructions
             instructionTitle: document.getElementById('instruction-title'),
-            instructionContent: document.getElementById('instruction-content')
+            instructionContent: document.getElementById('instruction-content'),
+            instructionInputHint: document.getElementById('instruction-input-hint'),
+
+            // Results
+            resultsReport: document.getElementById('results-report'),
+
+            // Session history
+            historyFile: document.getElementById('history-file'),
+            historyCompareFile: document.getElementById('history-compare-file'),
+            historyAddFile: document.getElementById('history-add-file'),
+            historyReport: document.getElementById('history-report'),
+
+            // Cohort
+            cohortFolder: document.getElementById('cohort-folder'),
+            cohortFile: document.getElementById('cohort-file'),
+            cohortAddFile: document.getElementById('cohort-add-file'),
+            cohortReport: document.getElementById('cohort-report'),
+
+            // Item analysis
+            itemFolder: document.getElementById('item-folder'),
+            itemFile: document.getElementById('item-file'),
+            itemAddFile: document.getElementById('item-add-file'),
+            itemReport: document.getElementById('item-report')
         };
     }
 
     bindEvents() {
         document.getElementById('btn-start').addEventListener('click', () => this.start());
+        this.ui.batteryFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.loadBatteryFromFile(e.target.files[0]);
+        });
+        this.ui.intakeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitIntake();
+        });
         document.getElementById('btn-continue').addEventListener('click', () => this.startTask());
+        document.getElementById('btn-pause').addEventListener('click', () => this.pause());
+        document.getElementById('btn-resume').addEventListener('click', () => this.resume());
+        this.ui.replayButton.addEventListener('click', () => this.replayStimulus());
+        this.ui.markErrorButton.addEventListener('click', () => this.markStepError());
+        document.getElementById('btn-resume-session').addEventListener('click', () => this.resumeInterruptedSession());
+        document.getElementById('btn-discard-session').addEventListener('click', () => this.discardInterruptedSession());
         document.getElementById('btn-download-csv').addEventListener('click', () => this.downloadCSV());
         document.getElementById('btn-download-json').addEventListener('click', () => this.downloadJSON());
+        document.getElementById('btn-download-report').addEventListener('click', () => this.downloadReport());
         document.getElementById('btn-restart').addEventListener('click', () => location.reload());
+        this.ui.historyFile.addEventListener('change', (e) => this.openHistory(e.target, false));
+        this.ui.historyCompareFile.addEventListener('change', (e) => this.openHistory(e.target, true));
+        this.ui.historyAddFile.addEventListener('change', (e) => this.addHistoryFiles(e.target));
+        document.getElementById('btn-download-history-csv').addEventListener('click', () => this.downloadHistoryCSV());
+        document.getElementById('btn-history-back').addEventListener('click', () => this.switchScreen(this.historyReturnScreen));
+        this.ui.cohortFolder.addEventListener('change', (e) => this.openCohort(e.target));
+        this.ui.cohortFile.addEventListener('change', (e) => this.openCohort(e.target));
+        this.ui.cohortAddFile.addEventListener('change', (e) => this.addCohortFiles(e.target));
+        document.getElementById('btn-download-cohort-csv').addEventListener('click', () => this.downloadCohortCSV());
+        document.getElementById('btn-cohort-back').addEventListener('click', () => this.switchScreen('landing'));
+        this.ui.itemFolder.addEventListener('change', (e) => this.openItemAnalysis(e.target));
+        this.ui.itemFile.addEventListener('change', (e) => this.openItemAnalysis(e.target));
+        this.ui.itemAddFile.addEventListener('change', (e) => this.addItemFiles(e.target));
+        document.getElementById('btn-download-item-csv').addEventListener('click', () => this.downloadItemCSV());
+        document.getElementById('btn-items-back').addEventListener('click', () => this.switchScreen('landing'));
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
     }
 
-    init() {
+    async init() {
+        this.setBattery(new Battery());
+        await this.loadBatteryFromURL();
+        await this.loadNormsFromURL();
+        await this.loadAudioPackFromURL();
+        this.loadSeedFromURL();
+        // Before calibrating: animation frames never fire in a background tab, and a page
+        // restored there must still offer to resume
+        await this.checkForInterruptedSession();
+        await this.timing.calibrate();
         console.log('Lexiscan-Lite initialized. Session:', this.data.sessionData.id);
     }
 
+    setBattery(battery) {
+        this.battery = battery;
+        this.sessionTasks = battery.getSessionTasks(null, this.data.sessionData.seed);
+        this.data.setBattery(battery.info);
+        this.ui.batteryName.textContent = `${battery.info.title} (v${battery.info.version})`;
+        this.ui.batteryError.classList.add('hidden');
+    }
+
+    // Alternative batteries can be supplied with ?battery=<url to JSON>
+    async loadBatteryFromURL() {
+        const url = new URLSearchParams(location.search).get('battery');
+        if (!url) return;
+
+        try {
+            this.setBattery(await Battery.fromURL(url));
+        } catch (err) {
+            this.showBatteryError(err);
+        }
+    }
+
+    async loadBatteryFromFile(file) {
+        try {
+            this.setBattery(await Battery.fromFile(file));
+        } catch (err) {
+            this.showBatteryError(err);
+        }
+    }
+
+    showBatteryError(err) {
+        const details = err.errors ? err.errors.slice(0, 5).join('; ') : err.message;
+        this.ui.batteryError.textContent = `Battery not loaded - using ${this.battery.info.title}. ${details}`;
+        this.ui.batteryError.classList.remove('hidden');
+        console.warn('Battery load failed:', err);
+    }
+
+    // Custom norms tables can be supplied with ?norms=<url to JSON>
+    async loadNormsFromURL() {
+        const url = new URLSearchParams(location.search).get('norms');
+        if (!url) return;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.data.setNorms(NormsTable.fromJSON(await response.json()));
+        } catch (err) {
+            console.warn('Could not load norms table, using defaults:', err.message);
+        }
+    }
+
+    // Recorded phonemes can be supplied with ?audio=<url to audio pack manifest>
+    async loadAudioPackFromURL() {
+        const url = new URLSearchParams(location.search).get('audio');
+        if (!url) return;
+
+        try {
+            const pack = await AudioPack.fromURL(url);
+            const { failed } = await this.audio.loadPack(pack);
+            this.data.setAudioPack({ ...pack.info, failed });
+        } catch (err) {
+            console.warn('Could not load audio pack, using speech synthesis:', err.message);
+        }
+    }
+
+    // A session can be replayed exactly with ?seed=<seed from a previous export>
+    loadSeedFromURL() {
+        const seed = parseSeed(new URLSearchParams(location.search).get('seed'));
+        if (seed !== null) this.data.setSeed(seed);
+    }
+
+    // Leaving the tab mid-task is logged for the session quality checks
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.hiddenAt = this.state === STATES.RUNNING ? performance.now() : null;
+        } else if (this.hiddenAt !== null) {
+            this.data.recordInterruption('hidden', {
+                taskIndex: this.currentTaskIndex,
+                trialIndex: this.currentTrialIndex,
+                hiddenMs: Math.round(performance.now() - this.hiddenAt)
+            });
+            this.hiddenAt = null;
+        }
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    async checkForInterruptedSession() {
+        try {
+            this.pendingResume = await this.store.findInterrupted();
+        } catch (err) {
+            console.warn('Could not read saved sessions:', err);
+            return;
+        }
+        if (!this.pendingResume) return;
+
+        const snapshot = this.pendingResume;
+        const participant = snapshot.data.sessionData.participant;
+        const taskCount = snapshot.taskCount;
+        this.ui.resumeDetails.textContent = [
+            participant.code ? `Code ${participant.code}` : 'No code',
+            `task ${Math.min(snapshot.taskIndex + 1, taskCount)} of ${taskCount}`,
+            `saved ${new Date(snapshot.savedAt).toLocaleString()}`
+        ].join(' · ');
+        this.ui.resumePrompt.classList.remove('hidden');
+    }
+
+    resumeInterruptedSession() {
+        const snapshot = this.pendingResume;
+        if (!snapshot) return;
+        this.audio.unlock(); // the resume click is the gesture that starts audio after a reload
+
+        try {
+            this.setBattery(Battery.fromJSON(snapshot.battery));
+            if (snapshot.norms) this.data.setNorms(NormsTable.fromJSON(snapshot.norms));
+        } catch (err) {
+            this.showBatteryError(err);
+            return;
+        }
+
+        this.data.restore(snapshot.data);
+        this.input.setMode(this.data.sessionData.inputMode);
+        this.sessionTasks = this.battery.getSessionTasks(
+            this.data.sessionData.fontComparison.firstFont,
+            this.data.sessionData.seed
+        );
+        this.data.recordInterruption('resumed', {
+            taskIndex: snapshot.taskIndex,
+            trialIndex: snapshot.trialIndex,
+            savedAt: snapshot.savedAt
+        });
+
+        this.pendingResume = null;
+        this.ui.resumePrompt.classList.add('hidden');
+        this.currentTaskIndex = snapshot.taskIndex;
+        this.resumePoint = snapshot.trialIndex > 0 ? { trialIndex: snapshot.trialIndex } : null;
+        this.showInstructions();
+    }
+
+    async discardInterruptedSession() {
+        if (!this.pendingResume) return;
+        const id = this.pendingResume.id;
+        this.pendingResume = null;
+        this.ui.resumePrompt.classList.add('hidden');
+        try {
+            await this.store.remove(id);
+        } catch (err) {
+            console.warn('Could not discard saved session:', err);
+        }
+    }
+
+    /**
+     * Save progress so the session survives a closed tab or crash.
+     * @param {number} trialIndex - Next trial to run in the current task
+     */
+    persist(trialIndex = this.currentTrialIndex) {
+        this.store.save({
+            id: this.data.sessionData.id,
+            taskIndex: this.currentTaskIndex,
+            taskCount: this.sessionTasks.length,
+            trialIndex,
+            battery: this.battery.definition,
+            norms: this.data.norms.definition,
+            data: this.data.getSnapshot()
+        }).catch(err => console.warn('Could not save session progress:', err));
+    }
+
     // ==================== SCREEN MANAGEMENT ====================
 
     switchScreen(name) {
@@ -84,34 +373,104 @@ export default class GameEngine {
     // ==================== FLOW CONTROL ====================
 
     start() {
+        this.audio.unlock();
+        this.state = STATES.INTAKE;
+        this.switchScreen('intake');
+        this.ui.intakeAgeYears.focus();
+    }
+
+    submitIntake() {
+        const years = parseInt(this.ui.intakeAgeYears.value, 10);
+        const months = parseInt(this.ui.intakeAgeMonths.value || '0', 10);
+        const grade = parseInt(this.ui.intakeGrade.value, 10);
+
+        if (Number.isNaN(years) || years < 6 || years > 18 || Number.isNaN(months) || months < 0 || months > 11) {
+            this.showIntakeError('Please enter a valid age (6-18 years, 0-11 months).');
+            return;
+        }
+        if (Number.isNaN(grade)) {
+            this.showIntakeError('Please select a grade.');
+            return;
+        }
+
+        this.ui.intakeError.classList.add('hidden');
+        this.data.setParticipant({
+            ageMonths: years * 12 + months,
+            grade,
+            code: this.ui.intakeCode.value.trim()
+        });
+        this.input.setMode(this.ui.intakeInputMode.value);
+        this.data.setInputMode(this.input.mode);
+
+        // Counterbalance the font order per session when the battery compares fonts
+        const seed = this.data.sessionData.seed;
+        const comparison = this.battery.fontComparison;
+        const fontRandom = Random.derive(seed, 'fonts');
+        this.data.setFirstFont(comparison ? pickFirstFont(comparison.order, () => fontRandom.next()) : null);
+        this.sessionTasks = this.battery.getSessionTasks(this.data.sessionData.fontComparison.firstFont, seed);
+
         this.currentTaskIndex = 0;
+        this.persist(0);
         this.showInstructions();
     }
 
+    showIntakeError(message) {
+        this.ui.intakeError.textContent = message;
+        this.ui.intakeError.classList.remove('hidden');
+    }
+
     showInstructions() {
-        if (this.currentTaskIndex >= TASKS.length) {
+        if (this.currentTaskIndex >= this.sessionTasks.length) {
             this.finish();
             return;
         }
 
-        this.currentTask = TASKS[this.currentTaskIndex];
+        this.currentTask = this.sessionTasks[this.currentTaskIndex];
         this.state = STATES.INSTRUCTIONS;
 
         this.ui.instructionTitle.textContent = this.currentTask.title;
         this.ui.instructionContent.textContent = this.currentTask.instruction;
 
+        const taskType = registry.get(this.currentTask.type);
+        const inputHint = this.input.describe(taskType.binary, taskType.stepwise);
+        this.ui.instructionInputHint.textContent = inputHint;
+        this.ui.instructionInputHint.classList.toggle('hidden', !inputHint);
+
         this.switchScreen('instructions');
     }
 
     startTask() {
         this.state = STATES.RUNNING;
-        this.currentTrialIndex = 0;
+        this.currentTaskType = registry.get(this.currentTask.type);
+
+        // Continue an interrupted task where it stopped (trials already restored into DataManager)
+        if (this.resumePoint) {
+            this.currentTrialIndex = this.resumePoint.trialIndex;
+            this.resumePoint = null;
+            const recorded = this.data.currentTask ? this.data.currentTask.trials : [];
+            this.currentTaskType.onTaskResume(this, this.currentTask, recorded);
+        } else {
+            this.currentTrialIndex = 0;
+            this.currentTaskType.onTaskStart(this, this.currentTask);
+        }
 
-        // Start data recording (skip warmup)
-        if (!this.currentTask.isWarmup) {
-            this.data.startTask(this.currentTask.id, this.currentTask.type);
+        // Start data recording (warmup responses are kept as practice, not scored)
+        if (!this.data.currentTask) {
+            this.data.startTask(this.currentTask.id, this.currentTask.type, {
+                title: this.currentTask.title,
+                font: this.currentTask.font,
+                isWarmup: this.currentTask.isWarmup,
+                retestOf: this.currentTask.retestOf,
+                orderConstraintsMet: this.currentTask.constraintsMet,
+                trialConfig: this.currentTask.trialConfig
+            });
         }
 
+        // Stimulus and option font for this task (default font when unset)
+        Object.values(FONT_CONDITIONS).forEach(font => {
+            this.screens.game.classList.toggle(`font-${font}`, this.currentTask.font === font);
+        });
+
         // Update HUD
         this.ui.taskLabel.textContent = this.currentTask.title;
         this.updateProgress();
@@ -132,6 +491,8 @@ export default class GameEngine {
     // ==================== TRIAL EXECUTION ====================
 
     async runTrial() {
+        if (this.isPaused) return;
+
         if (this.currentTrialIndex >= this.currentTask.trials.length) {
             this.completeTask();
             return;
@@ -144,163 +505,170 @@ export default class GameEngine {
         this.clearGameArea();
         this.updateProgress();
 
-        // Handle different task types
-        switch (this.currentTask.type) {
-            case TASK_TYPES.LEXICAL_DECISION:
-                await this.runLexicalDecisionTrial(trial, config);
-                break;
-            case TASK_TYPES.VISUAL_MASKING:
-                await this.runMaskingTrial(trial, config);
-                break;
-            case TASK_TYPES.PHONEME_GRAPHEME:
-                await this.runPhonemeGraphemeTrial(trial, config);
-                break;
-            default:
-                await this.runStandardTrial(trial, config);
-                break;
-        }
-    }
+        // Task-type plugin handles presentation, trial record and response rendering
+        const taskType = this.currentTaskType;
+        const token = ++this.trialToken;
 
-    // --- Standard Visual Trial ---
-    async runStandardTrial(trial, config) {
-        // Show stimulus
-        this.ui.stimulusContainer.classList.remove('hidden');
-        this.ui.stimulusText.textContent = trial.target;
-        this.ui.stimulusText.classList.remove('masked');
-        this.ui.audioIcon.classList.add('hidden');
+        // Option shuffles and masks for this trial come from their own seeded stream
+        this.trialRandom = Random.derive(this.data.sessionData.seed,
+            `${this.currentTask.id}:${this.currentTask.font || 'default'}:trial:${this.currentTrialIndex}`);
 
-        // Start timing
-        this.currentTrialData = this.data.startTrial(trial.target, trial.distractors, this.currentTrialIndex);
+        const presentation = await taskType.present(this, trial, config);
+        if (token !== this.trialToken) return; // paused during presentation
+        this.currentTrialData = taskType.createTrialData(this.data, trial, this.currentTrialIndex);
+        this.currentTrialData.itemIndex = this.currentTask.itemOrder[this.currentTrialIndex];
+        if (presentation) {
+            this.currentTrialData.presentation = presentation;
+        }
 
-        // Render options
-        const options = this.shuffleArray([trial.target, ...trial.distractors]);
-        this.renderOptions(options, trial.target);
+        // Start the RT clock on the frame that actually paints the options
+        const onset = await this.timing.present(() => taskType.renderResponse(this, trial, config));
+        if (token !== this.trialToken) return;
+        this.data.markOnset(this.currentTrialData, onset);
+        this.recordDisplay(this.currentTrialData);
 
         // Unlock input
         this.inputLocked = false;
 
-        // Start timeout
-        this.startTrialTimeout(config.timeout);
+        // Start timeout (extended for switch scanning)
+        this.startTrialTimeout(this.input.adjustTimeout(config.timeout, this.ui.gridContainer.children.length));
     }
 
-    // --- Phoneme-Grapheme Trial ---
-    async runPhonemeGraphemeTrial(trial, config) {
-        // Show audio icon
-        this.ui.stimulusContainer.classList.remove('hidden');
-        this.ui.stimulusText.textContent = '🔊';
-        this.ui.audioIcon.classList.remove('hidden');
-
-        // Play phoneme
-        await this.audio.speak(trial.phoneme || trial.target);
-
-        // Start timing AFTER audio finishes
-        this.currentTrialData = this.data.startTrial(trial.target, trial.distractors, this.currentTrialIndex);
-
-        // Render options
-        const options = this.shuffleArray([trial.target, ...trial.distractors]);
-        this.renderOptions(options, trial.target);
-
-        this.inputLocked = false;
-        this.startTrialTimeout(config.timeout);
-    }
+    // ==================== RENDERING ====================
 
-    // --- Visual Masking Trial ---
-    async runMaskingTrial(trial, config) {
-        // Flash stimulus briefly
-        this.ui.stimulusContainer.classList.remove('hidden');
-        this.ui.stimulusText.textContent = trial.target;
+    clearGameArea() {
+        this.ui.gridContainer.innerHTML = '';
+        this.ui.stimulusContainer.classList.add('hidden');
         this.ui.stimulusText.classList.remove('masked');
-        this.ui.audioIcon.classList.add('hidden');
-
-        // Wait for flash duration
-        await this.delay(config.flashDuration || 400);
-
-        // Mask stimulus (fade out)
-        this.ui.stimulusText.classList.add('masked');
-        await this.delay(config.maskDuration || 100);
-
-        // Hide stimulus completely
-        this.ui.stimulusText.textContent = '?';
-
-        // Start timing
-        this.currentTrialData = this.data.startTrial(trial.target, trial.distractors, this.currentTrialIndex);
-
-        // Render options
-        const options = this.shuffleArray([trial.target, ...trial.distractors]);
-        this.renderOptions(options, trial.target);
-
-        this.inputLocked = false;
-        this.startTrialTimeout(config.timeout);
+        this.ui.maskLayer.classList.add('hidden');
+        this.ui.maskLayer.innerHTML = '';
+        this.ui.replayButton.classList.add('hidden');
+        this.ui.itemGrid.classList.add('hidden');
+        this.ui.itemGrid.innerHTML = '';
+        this.ui.markErrorButton.classList.add('hidden');
+        this.input.release();
     }
 
-    // --- Lexical Decision Trial ---
-    async runLexicalDecisionTrial(trial, config) {
-        this.ui.stimulusContainer.classList.remove('hidden');
-        this.ui.stimulusText.textContent = trial.stimulus;
-        this.ui.audioIcon.classList.add('hidden');
-
-        // Start timing
-        const targetValue = trial.isReal ? 'YES' : 'NO';
-        this.currentTrialData = this.data.startTrial(targetValue, [trial.isReal ? 'NO' : 'YES'], this.currentTrialIndex);
-        this.currentTrialData.stimulus = trial.stimulus;
-        this.currentTrialData.isRealWord = trial.isReal;
-
-        // Render YES/NO buttons
-        this.renderBinaryChoice(targetValue);
-
-        this.inputLocked = false;
-        this.startTrialTimeout(config.timeout);
+    showReplayControl() {
+        this.ui.replayButton.disabled = false;
+        this.ui.replayButton.classList.remove('hidden');
     }
 
-    // ==================== RENDERING ====================
+    // Replay the current stimulus (task types decide what replaying means)
+    async replayStimulus() {
+        if (this.inputLocked || !this.currentTrialData || this.currentTrialData.replay) return;
 
-    clearGameArea() {
-        this.ui.gridContainer.innerHTML = '';
-        this.ui.stimulusContainer.classList.add('hidden');
-        this.ui.stimulusText.classList.remove('masked');
+        this.ui.replayButton.disabled = true;
+        const trial = this.currentTask.trials[this.currentTrialIndex];
+        await this.currentTaskType.replay(this, trial, this.currentTrialData);
     }
 
     renderOptions(options, target) {
         this.ui.gridContainer.innerHTML = '';
         this.ui.gridContainer.className = 'grid-container grid-' + options.length;
 
-        options.forEach(opt => {
+        const buttons = options.map(opt => {
             const btn = document.createElement('button');
             btn.className = 'grid-item';
             btn.textContent = opt;
             btn.setAttribute('data-value', opt);
-            btn.addEventListener('click', () => this.handleResponse(opt, btn));
+            btn.addEventListener('click', (e) => this.handlePointer(opt, btn, e));
             this.ui.gridContainer.appendChild(btn);
+            return btn;
         });
+
+        this.input.bind(buttons);
+    }
+
+    // Single control pressed once per item in stepwise tasks
+    renderAdvanceControl(label) {
+        this.ui.gridContainer.innerHTML = '';
+        this.ui.gridContainer.className = 'grid-container grid-1';
+
+        const btn = document.createElement('button');
+        btn.className = 'grid-item advance-control';
+        btn.textContent = label;
+        btn.setAttribute('data-value', 'NEXT');
+        btn.addEventListener('click', (e) => this.handlePointer('NEXT', btn, e));
+        this.ui.gridContainer.appendChild(btn);
+
+        this.input.bind([btn], { advance: true });
+    }
+
+    showMarkErrorControl() {
+        this.ui.markErrorButton.classList.remove('hidden');
+    }
+
+    // Supervisor marks the item just named as an error; not a response, so RT timing is unaffected
+    markStepError() {
+        if (this.inputLocked || !this.currentTrialData) return;
+        this.currentTaskType.markError(this, this.currentTrialData);
     }
 
     renderBinaryChoice(correctAnswer) {
         this.ui.gridContainer.innerHTML = '';
         this.ui.gridContainer.className = 'grid-container grid-2';
 
-        ['YES', 'NO'].forEach(choice => {
+        const buttons = ['YES', 'NO'].map(choice => {
             const btn = document.createElement('button');
             btn.className = 'grid-item binary-choice';
             btn.textContent = choice;
             btn.setAttribute('data-value', choice);
-            btn.addEventListener('click', () => this.handleResponse(choice, btn));
+            btn.addEventListener('click', (e) => this.handlePointer(choice, btn, e));
             this.ui.gridContainer.appendChild(btn);
+            return btn;
         });
+
+        this.input.bind(buttons, { binary: true });
+    }
+
+    /**
+     * Record what was on screen so position effects can be told apart from letter confusions.
+     * Positions are 0-based indices into optionOrder (reading order of the grid).
+     */
+    recordDisplay(trialData) {
+        const optionOrder = [...this.ui.gridContainer.children].map(btn => btn.getAttribute('data-value'));
+        trialData.optionOrder = optionOrder;
+        trialData.targetPosition = optionOrder.indexOf(trialData.target);
+        trialData.selectedPosition = null;
+        trialData.layout = [...this.ui.gridContainer.classList].find(c => /^grid-\d+$/.test(c)) || null;
     }
 
     // ==================== RESPONSE HANDLING ====================
 
-    handleResponse(selected, btnElement) {
+    // Pointer responses only count in pointer mode; in switch mode a click acts as the switch
+    handlePointer(selected, btnElement, event) {
+        if (this.input.acceptsPointer) {
+            this.handleResponse(selected, btnElement, event, { modality: 'pointer' });
+        } else {
+            this.input.handleSwitchPointer(event);
+        }
+    }
+
+    handleResponse(selected, btnElement, event, details = { modality: 'pointer' }) {
         if (this.inputLocked) return;
 
+        const respondedAt = this.timing.eventTime(event);
+
+        // Stepwise trials (e.g. rapid naming) stay open until the task type reports the last item
+        if (!this.currentTaskType.onStep(this, this.currentTrialData, selected, respondedAt)) return;
+
         this.inputLocked = true;
         this.clearTrialTimeout();
+        this.input.release();
 
-        // Record response
-        if (!this.currentTask.isWarmup) {
-            this.data.recordResponse(this.currentTrialData, selected, false);
+        this.currentTrialData.inputModality = details.modality;
+        if (details.scanSteps !== undefined) {
+            this.currentTrialData.scan = { steps: details.scanSteps, interval: details.scanInterval };
         }
 
+        this.currentTrialData.selectedPosition = [...this.ui.gridContainer.children].indexOf(btnElement);
+
+        // Record response
+        this.data.recordResponse(this.currentTrialData, selected, false, respondedAt);
+        this.currentTaskType.onResponse(this, this.currentTrialData, selected);
+        this.persist(this.currentTrialIndex + 1);
+
         // NO visual feedback - neutral transition per clinical guidelines
         // Just move to next trial
         this.transitionToNextTrial();
@@ -310,19 +678,23 @@ export default class GameEngine {
         if (this.inputLocked) return;
 
         this.inputLocked = true;
+        this.input.release();
+        this.currentTrialData.inputModality = this.input.mode;
 
         // Record timeout
-        if (!this.currentTask.isWarmup) {
-            this.data.recordResponse(this.currentTrialData, null, true);
-        }
+        this.data.recordResponse(this.currentTrialData, null, true);
+        this.currentTaskType.onResponse(this, this.currentTrialData, null);
+        this.persist(this.currentTrialIndex + 1);
 
         this.transitionToNextTrial();
     }
 
     transitionToNextTrial() {
+        this.currentTrialIndex++;
+
         // Brief pause (minimal, neutral)
-        setTimeout(() => {
-            this.currentTrialIndex++;
+        this.transitionTimeout = setTimeout(() => {
+            this.transitionTimeout = null;
             this.runTrial();
         }, 200); // Very short - just enough to register transition
     }
@@ -339,24 +711,158 @@ export default class GameEngine {
         }
     }
 
+    // ==================== PAUSE ====================
+
+    /**
+     * Halt the running trial. The interrupted trial is discarded and re-presented on resume,
+     * since its exposure and RT would no longer be valid.
+     */
+    pause() {
+        if (this.state !== STATES.RUNNING || this.isPaused) return;
+
+        this.isPaused = true;
+        this.state = STATES.PAUSED;
+        this.trialToken++;
+        this.inputLocked = true;
+        this.clearTrialTimeout();
+        this.input.release();
+        clearTimeout(this.transitionTimeout);
+        this.transitionTimeout = null;
+        this.audio.cancel();
+
+        this.data.recordInterruption('paused', {
+            taskId: this.currentTask.id,
+            trialIndex: this.currentTrialIndex
+        });
+        this.persist();
+
+        this.ui.pauseOverlay.classList.remove('hidden');
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+
+        this.isPaused = false;
+        this.state = STATES.RUNNING;
+        this.data.recordInterruption('unpaused', {
+            taskId: this.currentTask.id,
+            trialIndex: this.currentTrialIndex
+        });
+
+        this.ui.pauseOverlay.classList.add('hidden');
+        this.runTrial();
+    }
+
     // ==================== TASK COMPLETION ====================
 
     completeTask() {
         this.clearTrialTimeout();
 
-        if (!this.currentTask.isWarmup) {
-            this.data.endTask();
-        }
+        this.data.endTask();
 
         this.currentTaskIndex++;
+        this.persist(0);
         this.showInstructions();
     }
 
     finish() {
         this.state = STATES.FINISHED;
+        this.store.remove(this.data.sessionData.id)
+            .catch(err => console.warn('Could not clear saved session:', err));
+        this.report.render(this.data);
         this.switchScreen('results');
     }
 
+    // ==================== SESSION HISTORY ====================
+
+    /**
+     * Start a comparison from exported JSON files.
+     * @param {HTMLInputElement} input - File input holding the chosen exports
+     * @param {boolean} includeCurrent - Add the session just completed (from the results screen)
+     */
+    async openHistory(input, includeCurrent) {
+        this.history = new SessionHistory();
+        this.historyReturnScreen = includeCurrent ? 'results' : 'landing';
+
+        const errors = [];
+        if (includeCurrent) {
+            try {
+                this.history.add(JSON.parse(this.data.exportJSON()));
+            } catch (err) {
+                errors.push(`This session: ${err.errors ? err.errors.join('; ') : err.message}`);
+            }
+        }
+        await this.addHistoryFiles(input, errors);
+    }
+
+    // Invalid or mismatched files are listed on the history screen; the rest are still compared
+    async addHistoryFiles(input, errors = []) {
+        for (const file of [...input.files]) {
+            try {
+                this.history.add(await SessionHistory.readFile(file));
+            } catch (err) {
+                errors.push(`${file.name}: ${err.errors ? err.errors.join('; ') : err.message}`);
+            }
+        }
+        input.value = ''; // allow the same file to be chosen again
+
+        this.historyReport.render(this.history.sessions.length > 0 ? this.history.compare() : null, errors);
+        this.switchScreen('history');
+    }
+
+    // ==================== COHORT ====================
+
+    openCohort(input) {
+        this.cohort = new Cohort();
+        return this.addCohortFiles(input);
+    }
+
+    // Folders may hold other files; only .json exports are read
+    async addCohortFiles(input) {
+        const errors = [];
+        const files = [...input.files].filter(file => /\.json$/i.test(file.name));
+        for (const file of files) {
+            try {
+                this.cohort.add(await SessionHistory.readFile(file, false));
+            } catch (err) {
+                errors.push(`${file.name}: ${err.errors ? err.errors.join('; ') : err.message}`);
+            }
+        }
+        if (files.length === 0) errors.push('No .json session exports were selected');
+        input.value = '';
+
+        this.cohortReport.render(this.cohort.sessions.length > 0 ? this.cohort.summarize() : null, errors);
+        this.switchScreen('cohort');
+    }
+
+    // ==================== ITEM ANALYSIS ====================
+
+    openItemAnalysis(input) {
+        this.itemAnalysis = new ItemAnalysis();
+        return this.addItemFiles(input);
+    }
+
+    async addItemFiles(input) {
+        const errors = [];
+        const files = [...input.files].filter(file => /\.json$/i.test(file.name));
+        for (const file of files) {
+            try {
+                this.itemAnalysis.add(await SessionHistory.readFile(file, false));
+            } catch (err) {
+                errors.push(`${file.name}: ${err.errors ? err.errors.join('; ') : err.message}`);
+            }
+        }
+        if (files.length === 0) errors.push('No .json session exports were selected');
+        input.value = '';
+
+        this.itemReport.render(this.itemAnalysis.analyze(), {
+            sessions: this.itemAnalysis.sessions.length,
+            minResponses: this.itemAnalysis.config.minResponses,
+            battery: { title: this.battery.info.title, issues: checkBatteryItems(this.battery.tasks) }
+        }, errors);
+        this.switchScreen('items');
+    }
+
     // ==================== EXPORT ====================
 
     downloadCSV() {
@@ -369,6 +875,26 @@ export default class GameEngine {
         this.triggerDownload(jsonContent, `lexiscan_${this.data.sessionData.id}.json`);
     }
 
+    downloadReport() {
+        const htmlContent = this.data.exportHTML();
+        this.triggerDownload(htmlContent, `lexiscan_${this.data.sessionData.id}_report.html`);
+    }
+
+    downloadHistoryCSV() {
+        if (!this.history || this.history.sessions.length === 0) return;
+        this.triggerDownload(this.history.exportCSV(), `lexiscan_history_${this.history.code}.csv`);
+    }
+
+    downloadCohortCSV() {
+        if (!this.cohort || this.cohort.sessions.length === 0) return;
+        this.triggerDownload(this.cohort.exportCSV(), `lexiscan_class_summary_${new Date().toISOString().slice(0, 10)}.csv`);
+    }
+
+    downloadItemCSV() {
+        if (!this.itemAnalysis || this.itemAnalysis.sessions.length === 0) return;
+        this.triggerDownload(this.itemAnalysis.exportCSV(), `lexiscan_item_analysis_${new Date().toISOString().slice(0, 10)}.csv`);
+    }
+
     triggerDownload(dataUri, filename) {
         const link = document.createElement('a');
         link.href = dataUri;
@@ -381,12 +907,7 @@ export default class GameEngine {
     // ==================== UTILITIES ====================
 
     shuffleArray(array) {
-        const arr = [...array];
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
-        }
-        return arr;
+        return this.trialRandom.shuffle(array);
     }
 
     delay(ms) {
@@ -0,0 +1,142 @@
+/**
+ * Lexiscan-Lite - Longitudinal Report
+ * Renders a SessionHistory comparison: each task across sessions with reliable changes marked.
+ */
+import ResultsReport from './report.js';
+import { FONT_LABELS } from './fonts.js';
+import { CHANGE_DIRECTIONS } from './longitudinal.js';
+
+const CHANGE_MARKS = {
+    [CHANGE_DIRECTIONS.IMPROVED]: '▲ reliable improvement',
+    [CHANGE_DIRECTIONS.DECLINED]: '▼ reliable decline',
+    [CHANGE_DIRECTIONS.NONE]: ''
+};
+
+export default class HistoryReport extends ResultsReport {
+    /**
+     * Render a comparison.
+     * @param {Object|null} comparison - SessionHistory.compare() result (null when nothing loaded)
+     * @param {string[]} errors - Files that could not be loaded, with reasons
+     */
+    render(comparison, errors = []) {
+        this.container.innerHTML = '';
+
+        if (errors.length > 0) {
+            const section = this.createSection('Files Not Loaded');
+            const list = this.createElement('ul', 'report-list');
+            errors.forEach(error => list.appendChild(this.createElement('li', 'flag-warning', error)));
+            section.appendChild(list);
+            this.container.appendChild(section);
+        }
+
+        if (!comparison || comparison.sessions.length === 0) {
+            this.container.appendChild(this.createElement('p', 'report-muted', 'No sessions loaded.'));
+            return;
+        }
+
+        this.container.appendChild(this.renderSessions(comparison));
+        comparison.tasks.forEach(task => this.container.appendChild(this.renderTaskHistory(task, comparison.sessions)));
+        if (comparison.confusions.length > 0) {
+            this.container.appendChild(this.renderConfusionHistory(comparison.confusions, comparison.sessions));
+        }
+    }
+
+    // ==================== SECTIONS ====================
+
+    renderSessions(comparison) {
+        const section = this.createSection(`Student ${comparison.code}`);
+        const list = this.createElement('ul', 'report-list');
+        comparison.sessions.forEach((s, i) => {
+            const grade = s.grade !== null ? `, grade ${s.grade}` : '';
+            const quality = s.quality ? ` - ${s.quality}` : '';
+            list.appendChild(this.createElement('li', null, `Session ${i + 1}: ${this.formatDate(s.startTime)}${grade}${quality}`));
+        });
+        section.appendChild(list);
+
+        comparison.notes.forEach(note => section.appendChild(this.createElement('p', 'report-caveat', note)));
+        if (comparison.sessions.length < 2) {
+            section.appendChild(this.createElement('p', 'report-caveat', 'Load at least two sessions to see change over time.'));
+        }
+        section.appendChild(this.createElement('p', 'report-muted',
+            'Changes are marked reliable when they exceed the measurement error of both sessions (95% level). ' +
+            'Small changes without a mark may be noise.'));
+        return section;
+    }
+
+    renderTaskHistory(task, sessions) {
+        const title = task.font ? `${task.title} (${FONT_LABELS[task.font]})` : task.title;
+        const section = this.createSection(title);
+        const hasDPrime = task.points.some(p => p.dPrime);
+
+        const columns = [
+            ['accuracy', 'Accuracy', v => `${v.toFixed(0)}%`, d => `${d >= 0 ? '+' : ''}${d.toFixed(1)} pts`],
+            ['medianRT', 'Median RT', v => `${v.toFixed(0)} ms`, d => `${d >= 0 ? '+' : ''}${d.toFixed(0)} ms`]
+        ];
+        if (hasDPrime) {
+            columns.push(['dPrime', "d'", v => v.toFixed(2), d => `${d >= 0 ? '+' : ''}${d.toFixed(2)}`]);
+        }
+
+        const table = this.createElement('table', 'report-table');
+        const head = this.createElement('tr');
+        ['Session', ...columns.map(c => c[1])].forEach(label => head.appendChild(this.createElement('th', null, label)));
+        table.appendChild(head);
+
+        task.points.forEach((point, i) => {
+            const change = i > 0 ? task.changes[i - 1] : null;
+            const row = this.createElement('tr');
+            row.appendChild(this.createElement('td', null,
+                `${point.sessionIndex + 1}: ${this.formatDate(sessions[point.sessionIndex].startTime)}`));
+            columns.forEach(([metric, , value, delta]) => {
+                const cell = this.createElement('td', null, point[metric] ? value(point[metric].value) : 'N/A');
+                if (change && change[metric]) {
+                    const result = change[metric];
+                    cell.appendChild(this.createElement('span', `history-change change-${result.direction}`,
+                        ` ${delta(result.difference)} ${CHANGE_MARKS[result.direction]}`.trimEnd()));
+                }
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        section.appendChild(table);
+
+        if (task.changes.some(c => !c.rtComparable)) {
+            section.appendChild(this.createElement('p', 'report-caveat',
+                'The response mode differed between some sessions, so RT changes there are not tested.'));
+        }
+        if (task.overall) {
+            const parts = columns
+                .filter(([metric]) => task.overall[metric])
+                .map(([metric, label, , delta]) => {
+                    const result = task.overall[metric];
+                    return `${label} ${delta(result.difference)}${result.reliable ? ` (${result.direction})` : ''}`;
+                });
+            section.appendChild(this.createElement('p', 'report-muted', `First to latest session: ${parts.join(', ')}.`));
+        }
+
+        return section;
+    }
+
+    renderConfusionHistory(confusions, sessions) {
+        const section = this.createSection('Repeated Confusions');
+        const table = this.createElement('table', 'report-table');
+        const head = this.createElement('tr');
+        ['Confusion', ...sessions.map((s, i) => `Session ${i + 1}`)]
+            .forEach(label => head.appendChild(this.createElement('th', null, label)));
+        table.appendChild(head);
+
+        confusions.forEach(c => {
+            const row = this.createElement('tr');
+            row.appendChild(this.createElement('td', null, c.pair.replace('->', ' → ')));
+            c.counts.forEach(count => row.appendChild(this.createElement('td', count >= 2 ? 'history-repeated' : null, String(count))));
+            table.appendChild(row);
+        });
+        section.appendChild(table);
+        section.appendChild(this.createElement('p', 'report-muted',
+            'Confusions made at least twice in any session; counts of 2 or more are highlighted. Counts depend on the items shown, so compare sessions from the same battery.'));
+        return section;
+    }
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleDateString();
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Lexiscan-Lite - Input Manager
+ * Pointer, fixed-key keyboard and single-switch scanning response modes.
+ * The modality of every response is reported so RTs are only compared within modality.
+ */
+
+export const INPUT_MODES = {
+    POINTER: 'pointer',
+    KEYBOARD: 'keyboard',
+    SWITCH: 'switch'
+};
+
+// Fixed keys: F/J for binary choices (left/right hands), number keys for grid positions,
+// Space to advance through stepwise tasks (e.g. rapid naming)
+const BINARY_KEYS = { YES: 'f', NO: 'j' };
+const ADVANCE_KEY = ' ';
+const SWITCH_KEYS = [' ', 'Enter'];
+const DEFAULT_SCAN_INTERVAL = 1500;
+
+export default class InputManager {
+    /**
+     * @param {Function} onSelect - (value, button, event, details) called for keyboard/switch selections
+     */
+    constructor(onSelect) {
+        this.onSelect = onSelect;
+        this.mode = INPUT_MODES.POINTER;
+        this.scanInterval = DEFAULT_SCAN_INTERVAL;
+        this.options = [];
+        this.scanIndex = -1;
+        this.scanSteps = 0;
+        this.scanTimer = null;
+
+        document.addEventListener('keydown', (e) => this.handleKey(e));
+    }
+
+    setMode(mode, { scanInterval } = {}) {
+        this.mode = Object.values(INPUT_MODES).includes(mode) ? mode : INPUT_MODES.POINTER;
+        if (scanInterval) this.scanInterval = scanInterval;
+    }
+
+    get acceptsPointer() {
+        return this.mode === INPUT_MODES.POINTER;
+    }
+
+    /**
+     * Instruction line describing how to respond in the current mode.
+     * @param {boolean} binary - Whether the task uses YES/NO responses
+     * @param {boolean} advance - Whether the task uses a single advance control
+     */
+    describe(binary, advance = false) {
+        switch (this.mode) {
+            case INPUT_MODES.KEYBOARD:
+                if (advance) return 'Press Space after each item.';
+                return binary
+                    ? 'Press F for YES or J for NO.'
+                    : 'Press the number key shown on your answer.';
+            case INPUT_MODES.SWITCH:
+                if (advance) return 'Press your switch after each item.';
+                return 'Answers light up one at a time. Press your switch when your answer is lit.';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Attach the rendered option buttons for the current trial.
+     * @param {HTMLElement[]} buttons - Option buttons in display order
+     * @param {Object} options - { binary, advance }
+     */
+    bind(buttons, { binary = false, advance = false } = {}) {
+        this.release();
+        this.options = buttons.map((btn, i) => {
+            const value = btn.getAttribute('data-value');
+            let key = String(i + 1);
+            if (binary) key = BINARY_KEYS[value];
+            if (advance) key = ADVANCE_KEY;
+            return { btn, value, key };
+        });
+
+        if (this.mode === INPUT_MODES.KEYBOARD) {
+            this.options.forEach(opt => {
+                const hint = document.createElement('span');
+                hint.className = 'key-hint';
+                hint.textContent = opt.key === ADVANCE_KEY ? 'Space' : opt.key.toUpperCase();
+                opt.btn.appendChild(hint);
+            });
+        }
+
+        if (this.mode === INPUT_MODES.SWITCH) {
+            this.startScan();
+        }
+    }
+
+    release() {
+        this.stopScan();
+        this.options = [];
+    }
+
+    /**
+     * Longer timeouts in switch mode so every option is lit at least twice.
+     * @param {number} timeout - Configured trial timeout (ms)
+     * @param {number} optionCount - Number of options on screen
+     */
+    adjustTimeout(timeout, optionCount) {
+        if (this.mode !== INPUT_MODES.SWITCH) return timeout;
+        return Math.max(timeout, optionCount * this.scanInterval * 2);
+    }
+
+    // ==================== KEYBOARD / SWITCH ====================
+
+    handleKey(e) {
+        if (this.options.length === 0 || e.repeat) return;
+
+        if (this.mode === INPUT_MODES.KEYBOARD) {
+            const option = this.options.find(opt => opt.key === e.key.toLowerCase());
+            if (option) {
+                e.preventDefault();
+                this.onSelect(option.value, option.btn, e, { modality: INPUT_MODES.KEYBOARD });
+            }
+        } else if (this.mode === INPUT_MODES.SWITCH && SWITCH_KEYS.includes(e.key)) {
+            e.preventDefault();
+            this.selectScanned(e);
+        }
+    }
+
+    // Switch interfaces that emulate a mouse click anywhere count as a switch press
+    handleSwitchPointer(e) {
+        if (this.mode === INPUT_MODES.SWITCH && this.options.length > 0) {
+            this.selectScanned(e);
+        }
+    }
+
+    selectScanned(e) {
+        const option = this.options[this.scanIndex];
+        if (!option) return;
+        this.onSelect(option.value, option.btn, e, {
+            modality: INPUT_MODES.SWITCH,
+            scanSteps: this.scanSteps,
+            scanInterval: this.scanInterval
+        });
+    }
+
+    startScan() {
+        this.scanIndex = 0;
+        this.scanSteps = 0;
+        this.highlight();
+        this.scanTimer = setInterval(() => {
+            this.scanIndex = (this.scanIndex + 1) % this.options.length;
+            this.scanSteps++;
+            this.highlight();
+        }, this.scanInterval);
+    }
+
+    stopScan() {
+        if (this.scanTimer) {
+            clearInterval(this.scanTimer);
+            this.scanTimer = null;
+        }
+        this.options.forEach(opt => opt.btn.classList.remove('scan-focus'));
+        this.scanIndex = -1;
+    }
+
+    highlight() {
+        this.options.forEach((opt, i) => opt.btn.classList.toggle('scan-focus', i === this.scanIndex));
+    }
+}
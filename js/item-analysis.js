@@ -0,0 +1,277 @@
+/**
+ * Lexiscan-Lite - Item Analysis
+ * Classical item statistics pooled over many session exports (difficulty, discrimination,
+ * timeouts, distractor choices) plus checks for malformed items, to tune the item bank.
+ */
+import SessionHistory, { SessionImportError } from './longitudinal.js';
+import registry from './task-types/registry.js';
+import { median, correlation } from './stats.js';
+
+export const ITEM_FLAGS = {
+    DUPLICATE_OPTIONS: 'duplicate_options',         // an option appears twice (e.g. target repeated as a distractor)
+    TARGET_MISSING: 'target_missing',               // the correct answer was not among the options shown
+    EMPTY_OPTION: 'empty_option',
+    TOO_EASY: 'too_easy',
+    TOO_HARD: 'too_hard',
+    LOW_DISCRIMINATION: 'low_discrimination',
+    NEGATIVE_DISCRIMINATION: 'negative_discrimination',
+    HIGH_TIMEOUTS: 'high_timeouts',
+    UNUSED_DISTRACTOR: 'unused_distractor',
+    DISTRACTOR_OVER_TARGET: 'distractor_over_target'
+};
+
+/**
+ * Item analysis configuration structure:
+ * - minResponses: statistical flags need at least this many valid responses to the item
+ * - difficulty: proportion correct at or above `easy` / at or below `hard` is flagged
+ * - discrimination: corrected item-rest correlation below `low` is flagged
+ * - timeouts: timeout proportion above `max` is flagged
+ * - distractors: a distractor chosen by less than `minShare` of responses is not doing any work
+ *   (multiple-choice items only; for two-option items this is the same as too_easy)
+ */
+export const DEFAULT_ITEM_ANALYSIS_CONFIG = {
+    minResponses: 10,
+    difficulty: { easy: 0.95, hard: 0.3 },
+    discrimination: { low: 0.2 },
+    timeouts: { max: 0.2 },
+    distractors: { minShare: 0.05 }
+};
+
+/**
+ * Structural problems with one item's options.
+ * @param {string} target - Correct answer
+ * @param {string[]} options - Options as authored or as shown
+ * @returns {Object[]} - [{ id, message }]
+ */
+export function checkOptions(target, options) {
+    const flags = [];
+    const seen = new Set();
+    const repeated = new Set();
+    options.forEach(option => {
+        const key = String(option).trim();
+        if (seen.has(key)) repeated.add(key);
+        seen.add(key);
+    });
+
+    if (repeated.size > 0) {
+        flags.push({ id: ITEM_FLAGS.DUPLICATE_OPTIONS, message: `Repeated option(s): ${[...repeated].join(', ')}` });
+    }
+    if (!seen.has(String(target).trim())) {
+        flags.push({ id: ITEM_FLAGS.TARGET_MISSING, message: `Target "${target}" is not among the options` });
+    }
+    if (options.some(option => !String(option).trim())) {
+        flags.push({ id: ITEM_FLAGS.EMPTY_OPTION, message: 'An option is empty' });
+    }
+    return flags;
+}
+
+/**
+ * Check every item of a battery for malformed options (no session data needed).
+ * Only trials authored as { target, distractors } have options to check.
+ * @param {Object[]} tasks - Battery task definitions
+ * @returns {Object[]} - [{ taskId, itemIndex, target, flags }] for items with problems
+ */
+export function checkBatteryItems(tasks) {
+    return tasks.filter(task => !task.isWarmup).flatMap(task => task.trials
+        .map((trial, itemIndex) => ({ trial, itemIndex }))
+        .filter(({ trial }) => typeof trial.target === 'string' && Array.isArray(trial.distractors))
+        .map(({ trial, itemIndex }) => ({
+            taskId: task.id,
+            itemIndex,
+            target: trial.target,
+            flags: checkOptions(trial.target, [trial.target, ...trial.distractors])
+        }))
+        .filter(item => item.flags.length > 0));
+}
+
+export default class ItemAnalysis {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_ITEM_ANALYSIS_CONFIG, ...config };
+        this.sessions = [];
+    }
+
+    /**
+     * Add a session export. Re-screens are kept: items are analysed per administration.
+     * @param {Object} session - Parsed JSON export
+     */
+    add(session) {
+        const errors = SessionHistory.validate(session, false);
+        if (errors.length > 0) throw new SessionImportError(errors);
+        if (this.sessions.some(s => s.id === session.id)) {
+            throw new SessionImportError([`session ${session.id} is already loaded`]);
+        }
+        this.sessions.push(session);
+    }
+
+    /**
+     * Per-item statistics over all loaded sessions, grouped by battery and task.
+     * @returns {Object[]} - [{ key, battery, taskId, font, title, items: [...] }]
+     */
+    analyze() {
+        const tasks = new Map();
+
+        this.sessions.forEach(session => {
+            const battery = session.battery ? `${session.battery.id} ${session.battery.version}` : 'unknown';
+            session.tasks.forEach(task => {
+                // Practice items are not scored; stepwise trials (rapid naming charts) are not single items with options
+                if (task.isWarmup) return;
+                if (registry.has(task.taskType) && registry.get(task.taskType).stepwise) return;
+
+                const key = `${battery}|${task.taskId}${task.font ? `:${task.font}` : ''}`;
+                if (!tasks.has(key)) {
+                    tasks.set(key, { key, battery, taskId: task.taskId, font: task.font || null, title: task.title, items: new Map(), administrations: 0 });
+                }
+                const group = tasks.get(key);
+                group.administrations++;
+                this.collect(group.items, task.trials.filter(t => !t.invalid && t.itemIndex !== undefined));
+            });
+        });
+
+        return [...tasks.values()].map(group => ({
+            ...group,
+            items: [...group.items.values()]
+                .sort((a, b) => a.itemIndex - b.itemIndex)
+                .map(item => this.describeItem(item))
+        }));
+    }
+
+    // Responses per item, each paired with the student's proportion correct on the rest of the task
+    collect(items, trials) {
+        const correct = trials.filter(t => t.isCorrect).length;
+
+        trials.forEach(t => {
+            if (!items.has(t.itemIndex)) {
+                items.set(t.itemIndex, {
+                    itemIndex: t.itemIndex,
+                    label: this.itemLabel(t),
+                    target: t.target,
+                    options: [t.target, ...(t.distractors || [])],
+                    responses: []
+                });
+            }
+            const rest = trials.length > 1 ? (correct - (t.isCorrect ? 1 : 0)) / (trials.length - 1) : null;
+            items.get(t.itemIndex).responses.push({
+                correct: t.isCorrect ? 1 : 0,
+                rest,
+                selected: t.wasTimeout ? null : t.selected,
+                reactionTime: t.wasTimeout ? null : t.reactionTime,
+                shown: t.optionOrder || null
+            });
+        });
+    }
+
+    // What was presented; binary items (YES/NO) share their targets, so the target is the last resort
+    itemLabel(trial) {
+        if (trial.stimulus) return trial.stimulus;
+        if (trial.words) return trial.words.join(' / ');
+        if (trial.phonemes) return trial.phonemes.join('-');
+        return trial.target;
+    }
+
+    describeItem(item) {
+        const responses = item.responses;
+        const n = responses.length;
+        const timeouts = responses.filter(r => r.selected === null).length;
+
+        const choices = Object.fromEntries(item.options.map(option => [option, 0]));
+        responses.filter(r => r.selected !== null).forEach(r => {
+            choices[r.selected] = (choices[r.selected] || 0) + 1;
+        });
+
+        const paired = responses.filter(r => r.rest !== null);
+        const stats = {
+            itemIndex: item.itemIndex,
+            label: item.label,
+            target: item.target,
+            options: item.options,
+            n,
+            difficulty: n > 0 ? responses.reduce((sum, r) => sum + r.correct, 0) / n : null,
+            // Corrected item-total correlation: item score vs proportion correct on the other items
+            discrimination: correlation(paired.map(r => r.correct), paired.map(r => r.rest)),
+            timeoutRate: n > 0 ? timeouts / n : null,
+            medianRT: median(responses.filter(r => r.correct && r.reactionTime !== null).map(r => r.reactionTime)),
+            choices: Object.fromEntries(Object.entries(choices).map(([option, count]) =>
+                [option, { count, share: n > 0 ? count / n : null }]))
+        };
+
+        stats.flags = checkOptions(item.target, item.options);
+        // The grid as shown can still lack the target (e.g. a task type that builds its own options)
+        const hidden = responses.filter(r => r.shown && !r.shown.includes(item.target)).length;
+        if (hidden > 0 && !stats.flags.some(f => f.id === ITEM_FLAGS.TARGET_MISSING)) {
+            stats.flags.push({ id: ITEM_FLAGS.TARGET_MISSING, message: `Target "${item.target}" was not shown in ${hidden} administration(s)` });
+        }
+        stats.flags.push(...this.statisticalFlags(stats));
+        return stats;
+    }
+
+    statisticalFlags(item) {
+        const { minResponses, difficulty, discrimination, timeouts, distractors } = this.config;
+        if (item.n < minResponses) return [];
+
+        const flags = [];
+        const pct = value => `${(value * 100).toFixed(0)}%`;
+        const tooEasy = item.difficulty >= difficulty.easy;
+        if (tooEasy) {
+            flags.push({ id: ITEM_FLAGS.TOO_EASY, message: `${pct(item.difficulty)} correct - adds little information` });
+        } else if (item.difficulty <= difficulty.hard) {
+            flags.push({ id: ITEM_FLAGS.TOO_HARD, message: `Only ${pct(item.difficulty)} correct` });
+        }
+        if (item.discrimination !== null && item.discrimination < 0) {
+            flags.push({ id: ITEM_FLAGS.NEGATIVE_DISCRIMINATION, message: `Item-rest r = ${item.discrimination.toFixed(2)} - stronger students get it wrong more often` });
+        } else if (item.discrimination !== null && item.discrimination < discrimination.low) {
+            flags.push({ id: ITEM_FLAGS.LOW_DISCRIMINATION, message: `Item-rest r = ${item.discrimination.toFixed(2)}` });
+        }
+        if (item.timeoutRate > timeouts.max) {
+            flags.push({ id: ITEM_FLAGS.HIGH_TIMEOUTS, message: `${pct(item.timeoutRate)} timeouts` });
+        }
+
+        // Every distractor of a too-easy item goes unchosen; that is already reported
+        const targetShare = item.choices[item.target].share;
+        Object.entries(item.choices)
+            .filter(([option]) => option !== item.target && item.options.includes(option))
+            .forEach(([option, choice]) => {
+                if (choice.share > targetShare) {
+                    flags.push({ id: ITEM_FLAGS.DISTRACTOR_OVER_TARGET, message: `"${option}" chosen more often than the target (${pct(choice.share)}) - check the key` });
+                } else if (item.options.length > 2 && !tooEasy && choice.share < distractors.minShare) {
+                    flags.push({ id: ITEM_FLAGS.UNUSED_DISTRACTOR, message: `"${option}" chosen by ${pct(choice.share)}` });
+                }
+            });
+        return flags;
+    }
+
+    /**
+     * Item statistics as CSV, one row per item.
+     * @returns {string} - CSV data URI
+     */
+    exportCSV() {
+        const fmt = (value, digits) => value !== null && value !== undefined ? value.toFixed(digits) : 'N/A';
+        let csv = `Lexiscan-Lite Item Analysis\n`;
+        csv += `Sessions,${this.sessions.length}\n`;
+        csv += `Minimum responses for flags,${this.config.minResponses}\n`;
+
+        csv += `\nITEMS\n`;
+        csv += `Battery,Task,Font,Item,Label,Target,N,Difficulty(p),Discrimination(r),TimeoutRate,MedianCorrectRT(ms),Choices,Flags\n`;
+        this.analyze().forEach(task => {
+            task.items.forEach(item => {
+                const choices = Object.entries(item.choices).map(([option, c]) => `${option}:${c.count}`).join(' ');
+                csv += [
+                    `"${task.battery}"`,
+                    task.taskId,
+                    task.font || 'default',
+                    item.itemIndex + 1,
+                    `"${item.label}"`,
+                    `"${item.target}"`,
+                    item.n,
+                    fmt(item.difficulty, 2),
+                    fmt(item.discrimination, 2),
+                    fmt(item.timeoutRate, 2),
+                    fmt(item.medianRT, 0),
+                    `"${choices}"`,
+                    `"${item.flags.map(f => f.id).join(' ')}"`
+                ].join(',') + '\n';
+            });
+        });
+
+        return 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv);
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Lexiscan-Lite - Item Analysis Report
+ * Renders ItemAnalysis results: malformed items in the loaded battery, flagged items,
+ * and per-task item statistics with distractor choices.
+ */
+import ResultsReport from './report.js';
+import { FONT_LABELS } from './fonts.js';
+
+export default class ItemReport extends ResultsReport {
+    /**
+     * Render an item analysis.
+     * @param {Object[]} tasks - ItemAnalysis.analyze() result
+     * @param {Object} context - { sessions, minResponses, battery: { title, issues } }
+     * @param {string[]} errors - Files that could not be loaded, with reasons
+     */
+    render(tasks, context, errors = []) {
+        this.container.innerHTML = '';
+
+        if (errors.length > 0) {
+            const section = this.createSection('Files Not Loaded');
+            const list = this.createElement('ul', 'report-list');
+            errors.forEach(error => list.appendChild(this.createElement('li', 'flag-warning', error)));
+            section.appendChild(list);
+            this.container.appendChild(section);
+        }
+
+        this.container.appendChild(this.renderBatteryCheck(context.battery));
+
+        if (context.sessions === 0) {
+            this.container.appendChild(this.createElement('p', 'report-muted', 'No sessions loaded.'));
+            return;
+        }
+
+        this.container.appendChild(this.renderFlagged(tasks, context));
+        tasks.forEach(task => this.container.appendChild(this.renderTaskItems(task, context.minResponses)));
+    }
+
+    // ==================== SECTIONS ====================
+
+    // Authoring problems in the battery currently loaded, found without any response data
+    renderBatteryCheck(battery) {
+        const section = this.createSection(`Item Check: ${battery.title}`);
+        if (battery.issues.length === 0) {
+            section.appendChild(this.createElement('p', 'report-muted', 'No duplicate, missing or empty options found.'));
+            return section;
+        }
+
+        const list = this.createElement('ul', 'report-list');
+        battery.issues.forEach(item => {
+            list.appendChild(this.createElement('li', 'flag-warning',
+                `${item.taskId}, item ${item.itemIndex + 1} ("${item.target}"): ${item.flags.map(f => f.message).join('; ')}`));
+        });
+        section.appendChild(list);
+        return section;
+    }
+
+    renderFlagged(tasks, context) {
+        const section = this.createSection(`${context.sessions} Sessions`);
+        const flagged = tasks.flatMap(task => task.items
+            .filter(item => item.flags.length > 0)
+            .map(item => ({ task, item })));
+
+        if (flagged.length === 0) {
+            section.appendChild(this.createElement('p', 'report-muted', 'No items flagged.'));
+        } else {
+            section.appendChild(this.createElement('h4', null, `Flagged Items (${flagged.length})`));
+            const list = this.createElement('ul', 'report-list');
+            flagged.forEach(({ task, item }) => {
+                list.appendChild(this.createElement('li', null,
+                    `${this.taskTitle(task)}, item ${item.itemIndex + 1} ("${item.label}"): ${item.flags.map(f => f.message).join('; ')}`));
+            });
+            section.appendChild(list);
+        }
+
+        section.appendChild(this.createElement('p', 'report-muted',
+            `Difficulty, discrimination, timeout and distractor flags need at least ${context.minResponses} responses to an item. ` +
+            'Items are grouped by battery version, since edited items are not comparable.'));
+        return section;
+    }
+
+    renderTaskItems(task, minResponses) {
+        const section = this.createSection(`${this.taskTitle(task)} - ${task.battery}`);
+        const table = this.createElement('table', 'report-table');
+        const head = this.createElement('tr');
+        ['Item', 'N', 'p correct', 'Item-rest r', 'Timeouts', 'Median RT', 'Choices', 'Flags']
+            .forEach(label => head.appendChild(this.createElement('th', null, label)));
+        table.appendChild(head);
+
+        task.items.forEach(item => {
+            const row = this.createElement('tr', item.flags.length > 0 ? 'row-follow-up' : null);
+            row.appendChild(this.createElement('td', null, `${item.itemIndex + 1}. ${item.label}`));
+            row.appendChild(this.createElement('td', item.n < minResponses ? 'report-muted' : null, String(item.n)));
+            row.appendChild(this.createElement('td', null, item.difficulty !== null ? item.difficulty.toFixed(2) : 'N/A'));
+            row.appendChild(this.createElement('td', null, item.discrimination !== null ? item.discrimination.toFixed(2) : 'N/A'));
+            row.appendChild(this.createElement('td', null, item.timeoutRate !== null ? `${(item.timeoutRate * 100).toFixed(0)}%` : 'N/A'));
+            row.appendChild(this.createElement('td', null, item.medianRT !== null ? `${item.medianRT.toFixed(0)} ms` : 'N/A'));
+            row.appendChild(this.createChoicesCell(item));
+            row.appendChild(this.createElement('td', null, item.flags.map(f => f.id.replace(/_/g, ' ')).join(', ')));
+            table.appendChild(row);
+        });
+
+        const wrapper = this.createElement('div', 'table-wrapper');
+        wrapper.appendChild(table);
+        section.appendChild(wrapper);
+        return section;
+    }
+
+    // ==================== HELPERS ====================
+
+    // Share of responses per option; the target first
+    createChoicesCell(item) {
+        const cell = this.createElement('td');
+        Object.entries(item.choices).forEach(([option, choice]) => {
+            const share = choice.share !== null ? `${(choice.share * 100).toFixed(0)}%` : 'N/A';
+            cell.appendChild(this.createElement('span', option === item.target ? 'item-choice item-target' : 'item-choice',
+                `${option} ${share}`));
+        });
+        return cell;
+    }
+
+    taskTitle(task) {
+        return task.font ? `${task.title} (${FONT_LABELS[task.font]})` : task.title;
+    }
+}
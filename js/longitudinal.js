@@ -0,0 +1,302 @@
+/**
+ * Lexiscan-Lite - Longitudinal Comparison
+ * Loads earlier JSON exports for one student and follows each task across sessions,
+ * marking changes that are larger than the sessions' own measurement error.
+ */
+import { stdDev, normalQuantile } from './stats.js';
+import { QUALITY_STATUS } from './quality.js';
+
+export const CHANGE_DIRECTIONS = {
+    IMPROVED: 'improved',
+    DECLINED: 'declined',
+    NONE: 'none'            // within measurement error
+};
+
+/**
+ * Reliable change configuration structure:
+ * - z: |difference / SE of the difference| at or above this counts as reliable (1.96 = 95%)
+ * - minTrials: fewer answered trials than this in either session gives no RT or accuracy test
+ *
+ * Standard errors come from each session's own trials: accuracy from the binomial
+ * (log-linear corrected, as for d'), median RT from 1.2533 * SD / sqrt(n), d' from
+ * Gourevitch & Galanter (1967). This is a within-student test, not a norm-referenced RCI.
+ */
+export const DEFAULT_RELIABLE_CHANGE = {
+    z: 1.96,
+    minTrials: 5
+};
+
+export class SessionImportError extends Error {
+    constructor(errors) {
+        super(`Invalid session export: ${errors.join('; ')}`);
+        this.name = 'SessionImportError';
+        this.errors = errors;
+    }
+}
+
+const density = z => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+export default class SessionHistory {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_RELIABLE_CHANGE, ...config };
+        this.sessions = [];
+    }
+
+    static async readFile(file, requireCode = true) {
+        let json;
+        try {
+            json = JSON.parse(await file.text());
+        } catch (err) {
+            throw new SessionImportError(['not a JSON file']);
+        }
+        const errors = SessionHistory.validate(json, requireCode);
+        if (errors.length > 0) throw new SessionImportError(errors);
+        return json;
+    }
+
+    /**
+     * Check that a parsed document is a Lexiscan session export.
+     * @param {Object} session - Parsed JSON export (DataManager.exportJSON())
+     * @param {boolean} requireCode - Reject sessions without a student code (needed to match sessions)
+     * @returns {string[]} - Human-readable errors (empty when valid)
+     */
+    static validate(session, requireCode = true) {
+        if (!session || typeof session !== 'object' || Array.isArray(session)) {
+            return ['export must be an object'];
+        }
+
+        const errors = [];
+        if (typeof session.id !== 'string' || !session.id) errors.push('missing session id');
+        if (isNaN(Date.parse(session.startTime))) errors.push('missing or invalid startTime');
+        if (!session.participant || typeof session.participant !== 'object') {
+            errors.push('missing participant');
+        } else if (requireCode && !session.participant.code) {
+            errors.push('no student code - sessions can only be matched by code');
+        }
+        if (!Array.isArray(session.tasks)) {
+            errors.push('missing tasks');
+            return errors;
+        }
+
+        session.tasks.forEach((task, i) => {
+            const where = `tasks[${i}]`;
+            if (!task || typeof task.taskId !== 'string') {
+                errors.push(`${where}: missing taskId`);
+            } else if (!task.summary || typeof task.summary.completedTrials !== 'number' ||
+                typeof task.summary.correctCount !== 'number' || !Array.isArray(task.trials)) {
+                errors.push(`${where} (${task.taskId}): missing summary or trials`);
+            }
+        });
+
+        return errors;
+    }
+
+    get code() {
+        return this.sessions.length > 0 ? this.sessions[0].participant.code : null;
+    }
+
+    /**
+     * Add a validated session, keeping sessions in date order.
+     * @param {Object} session - Parsed JSON export
+     */
+    add(session) {
+        const errors = SessionHistory.validate(session);
+        if (errors.length > 0) throw new SessionImportError(errors);
+
+        if (this.code !== null && session.participant.code !== this.code) {
+            throw new SessionImportError([`student code "${session.participant.code}" does not match "${this.code}"`]);
+        }
+        if (this.sessions.some(s => s.id === session.id)) {
+            throw new SessionImportError([`session ${session.id} is already loaded`]);
+        }
+
+        this.sessions.push(session);
+        this.sessions.sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+    }
+
+    /**
+     * Per-task results across sessions with reliable-change tests between consecutive sessions
+     * and from the first to the latest.
+     * @returns {Object} - { code, sessions, tasks: [{ key, taskId, font, title, points, changes, overall }], confusions, notes }
+     */
+    compare() {
+        const tasks = new Map();
+        this.sessions.forEach((session, sessionIndex) => {
+            session.tasks.forEach(task => {
+                // Font-comparison batteries run a task once per font; each font is its own series
+                const key = task.font ? `${task.taskId}:${task.font}` : task.taskId;
+                if (!tasks.has(key)) {
+                    tasks.set(key, { key, taskId: task.taskId, font: task.font || null, title: task.title, points: [] });
+                }
+                const series = tasks.get(key);
+                series.title = task.title;
+                series.points.push({ sessionIndex, sessionId: session.id, ...this.measure(task) });
+            });
+        });
+
+        const series = [...tasks.values()].map(s => ({
+            ...s,
+            changes: s.points.slice(1).map((point, i) => this.compareTwo(s.points[i], point)),
+            overall: s.points.length > 2 ? this.compareTwo(s.points[0], s.points[s.points.length - 1]) : null
+        }));
+
+        return {
+            code: this.code,
+            sessions: this.sessions.map(s => ({
+                id: s.id,
+                startTime: s.startTime,
+                ageMonths: s.participant.ageMonths,
+                grade: s.participant.grade,
+                battery: s.battery || null,
+                inputMode: s.inputMode || null,
+                quality: s.quality ? s.quality.status : null
+            })),
+            tasks: series,
+            confusions: this.compareConfusions(),
+            notes: this.notes()
+        };
+    }
+
+    /**
+     * Comparison as CSV: one row per task per session, with the change from the previous session.
+     * @returns {string} - CSV data URI
+     */
+    exportCSV() {
+        const comparison = this.compare();
+        const fmt = (value, digits) => value !== null && value !== undefined ? value.toFixed(digits) : 'N/A';
+        const cell = change => change ? `${fmt(change.difference, 2)},${fmt(change.z, 2)},${change.direction}` : 'N/A,N/A,N/A';
+
+        let csv = `Lexiscan-Lite Longitudinal Comparison\n`;
+        csv += `Student Code,"${comparison.code}"\n`;
+        csv += `Reliable change,|z| >= ${this.config.z}\n`;
+
+        csv += `\nSESSIONS\n`;
+        csv += `Session,Session ID,Date,Age(months),Grade,Battery,InputMode,Quality\n`;
+        comparison.sessions.forEach((s, i) => {
+            csv += [i + 1, s.id, s.startTime, s.ageMonths !== null ? s.ageMonths : 'N/A', s.grade !== null ? s.grade : 'N/A',
+                s.battery ? `"${s.battery.id} ${s.battery.version}"` : 'N/A', s.inputMode || 'N/A', s.quality || 'N/A'].join(',') + '\n';
+        });
+
+        csv += `\nTASKS\n`;
+        csv += `Task,Font,Session,Trials,Accuracy(%),MedianRT(ms),dPrime,AccuracyChange,AccuracyZ,AccuracyDirection,MedianRTChange,MedianRTZ,MedianRTDirection,dPrimeChange,dPrimeZ,dPrimeDirection\n`;
+        comparison.tasks.forEach(task => {
+            task.points.forEach((point, i) => {
+                const change = i > 0 ? task.changes[i - 1] : null;
+                csv += [task.taskId, task.font || 'default', point.sessionIndex + 1, point.trials,
+                    fmt(point.accuracy && point.accuracy.value, 1),
+                    fmt(point.medianRT && point.medianRT.value, 0),
+                    fmt(point.dPrime && point.dPrime.value, 2),
+                    cell(change && change.accuracy), cell(change && change.medianRT), cell(change && change.dPrime)].join(',') + '\n';
+            });
+        });
+
+        csv += `\nREPEATED CONFUSIONS\n`;
+        csv += `Confusion,${comparison.sessions.map((s, i) => `Session ${i + 1}`).join(',')}\n`;
+        comparison.confusions.forEach(c => {
+            csv += `"${c.pair}",${c.counts.join(',')}\n`;
+        });
+
+        comparison.notes.forEach(note => {
+            csv += `\nNote,"${note}"`;
+        });
+
+        return 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv + '\n');
+    }
+
+    // ==================== MEASURES ====================
+
+    measure(task) {
+        const summary = task.summary;
+        const n = summary.completedTrials;
+        const rts = task.trials
+            .filter(t => !t.invalid && !t.wasTimeout && t.reactionTime !== null)
+            .map(t => t.reactionTime);
+        const sd = stdDev(rts);
+        const sdt = summary.metrics && summary.metrics.signalDetection;
+
+        // Log-linear corrected proportion so 100% still has a non-zero standard error
+        const p = (summary.correctCount + 0.5) / (n + 1);
+
+        return {
+            trials: n,
+            modalities: summary.inputModalities || [],
+            accuracy: n > 0 ? { value: summary.accuracy, se: Math.sqrt(p * (1 - p) / n) * 100 } : null,
+            medianRT: summary.medianRT !== null && sd !== null
+                ? { value: summary.medianRT, se: 1.2533 * sd / Math.sqrt(rts.length) }
+                : null,
+            dPrime: sdt && sdt.dPrime !== null ? { value: sdt.dPrime, se: this.dPrimeSE(sdt) } : null
+        };
+    }
+
+    // Uses the corrected hit and false-alarm rates the lexical decision task reports
+    dPrimeSE(sdt) {
+        const signal = sdt.hits + sdt.misses;
+        const noise = sdt.falseAlarms + sdt.correctRejections;
+        const term = (rate, n) => rate * (1 - rate) / (n * Math.pow(density(normalQuantile(rate)), 2));
+        return Math.sqrt(term(sdt.hitRate, signal) + term(sdt.falseAlarmRate, noise));
+    }
+
+    compareTwo(from, to) {
+        const enough = from.trials >= this.config.minTrials && to.trials >= this.config.minTrials;
+        // RTs are only comparable within one input modality
+        const sameModality = from.modalities.join() === to.modalities.join();
+
+        return {
+            fromSession: from.sessionIndex,
+            toSession: to.sessionIndex,
+            accuracy: this.change(from.accuracy, to.accuracy, true, enough),
+            medianRT: this.change(from.medianRT, to.medianRT, false, enough && sameModality),
+            dPrime: this.change(from.dPrime, to.dPrime, true, true),
+            rtComparable: sameModality
+        };
+    }
+
+    /**
+     * One reliable-change test.
+     * @param {Object|null} from - { value, se } at the earlier session
+     * @param {Object|null} to - { value, se } at the later session
+     * @param {boolean} higherIsBetter - true for accuracy and d', false for RT
+     * @param {boolean} testable - false when too few trials or RTs are not comparable
+     * @returns {Object|null} - { difference, z, reliable, direction }
+     */
+    change(from, to, higherIsBetter, testable) {
+        if (!from || !to) return null;
+
+        const difference = to.value - from.value;
+        const se = Math.sqrt(from.se * from.se + to.se * to.se);
+        const z = testable && se > 0 ? difference / se : null;
+        const reliable = z !== null && Math.abs(z) >= this.config.z;
+
+        let direction = CHANGE_DIRECTIONS.NONE;
+        if (reliable) {
+            direction = (difference > 0) === higherIsBetter ? CHANGE_DIRECTIONS.IMPROVED : CHANGE_DIRECTIONS.DECLINED;
+        }
+        return { difference, z, reliable, direction };
+    }
+
+    // Confusions made at least twice in any session, with their count in every session
+    compareConfusions() {
+        const matrices = this.sessions.map(s => s.confusionMatrix || {});
+        const pairs = new Set(matrices.flatMap(m => Object.keys(m).filter(pair => m[pair] >= 2)));
+
+        return [...pairs]
+            .map(pair => ({ pair, counts: matrices.map(m => m[pair] || 0) }))
+            .sort((a, b) => b.counts.reduce((x, y) => x + y, 0) - a.counts.reduce((x, y) => x + y, 0));
+    }
+
+    notes() {
+        const notes = [];
+        const batteries = new Set(this.sessions.map(s => s.battery ? `${s.battery.id} ${s.battery.version}` : 'unknown'));
+        if (batteries.size > 1) {
+            notes.push(`Sessions used different batteries (${[...batteries].join(', ')}) - compare tasks with care.`);
+        }
+        const modes = new Set(this.sessions.map(s => s.inputMode || 'pointer'));
+        if (modes.size > 1) {
+            notes.push(`Response mode changed between sessions (${[...modes].join(', ')}) - RT changes are not tested.`);
+        }
+        if (this.sessions.some(s => s.quality && s.quality.status === QUALITY_STATUS.INVALID)) {
+            notes.push('At least one session was flagged as invalid; its results should not be used as a baseline.');
+        }
+        return notes;
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Lexiscan-Lite - Pattern Masks
+ * Generates backward masks sized to the stimulus so iconic memory of the target is overwritten.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export const MASK_TYPES = {
+    LETTERS: 'letters', // overlapping letter fragments in the stimulus font
+    HASH: 'hash',       // dense random line segments
+    FADE: 'fade'        // legacy fade-out only (no pattern; not a true backward mask)
+};
+
+// Letters with strokes covering the features of the confusable targets
+const FRAGMENT_LETTERS = 'bdpqnumwhkxzsaeo';
+
+export default class PatternMask {
+    /**
+     * @param {Function} random - Returns a float in [0, 1); defaults to Math.random
+     */
+    constructor(random = Math.random) {
+        this.random = random;
+    }
+
+    /**
+     * Build a fresh mask for one trial.
+     * @param {string} type - One of MASK_TYPES (except FADE)
+     * @param {number} width - Stimulus width in px
+     * @param {number} height - Stimulus height in px
+     * @returns {SVGElement}
+     */
+    create(type, width, height) {
+        // Pad so the mask fully covers ascenders/descenders of the stimulus
+        const w = Math.ceil(width * 1.2);
+        const h = Math.ceil(height * 1.2);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('width', w);
+        svg.setAttribute('height', h);
+        svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+        svg.setAttribute('aria-hidden', 'true');
+        svg.setAttribute('class', `pattern-mask mask-${type}`);
+
+        if (type === MASK_TYPES.HASH) {
+            this.drawHash(svg, w, h);
+        } else {
+            this.drawLetterFragments(svg, w, h);
+        }
+
+        return svg;
+    }
+
+    drawLetterFragments(svg, w, h) {
+        // Roughly four overlapping glyphs per stimulus-sized cell
+        const fontSize = h * 0.8;
+        const count = Math.max(8, Math.round((w / (fontSize * 0.5)) * 4));
+
+        for (let i = 0; i < count; i++) {
+            const x = (this.random() * w).toFixed(1);
+            const y = (h * 0.35 + this.random() * h * 0.6).toFixed(1);
+            const angle = Math.floor(this.random() * 4) * 90 + (this.random() - 0.5) * 30;
+
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('x', x);
+            text.setAttribute('y', y);
+            text.setAttribute('font-size', (fontSize * (0.7 + this.random() * 0.5)).toFixed(1));
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('transform', `rotate(${angle.toFixed(1)} ${x} ${y})`);
+            text.textContent = FRAGMENT_LETTERS[Math.floor(this.random() * FRAGMENT_LETTERS.length)];
+            svg.appendChild(text);
+        }
+    }
+
+    drawHash(svg, w, h) {
+        const cell = Math.max(6, Math.round(h / 8));
+        for (let x = 0; x < w; x += cell) {
+            for (let y = 0; y < h; y += cell) {
+                for (let k = 0; k < 2; k++) {
+                    const angle = this.random() * Math.PI;
+                    const len = cell * (0.8 + this.random() * 0.8);
+                    const cx = x + this.random() * cell;
+                    const cy = y + this.random() * cell;
+                    const line = document.createElementNS(SVG_NS, 'line');
+                    line.setAttribute('x1', (cx - Math.cos(angle) * len / 2).toFixed(1));
+                    line.setAttribute('y1', (cy - Math.sin(angle) * len / 2).toFixed(1));
+                    line.setAttribute('x2', (cx + Math.cos(angle) * len / 2).toFixed(1));
+                    line.setAttribute('y2', (cy + Math.sin(angle) * len / 2).toFixed(1));
+                    svg.appendChild(line);
+                }
+            }
+        }
+    }
+}
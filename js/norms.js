@@ -0,0 +1,168 @@
+/**
+ * Lexiscan-Lite - Norms Tables
+ * Age-referenced reference values for converting raw task summaries into z-scores and percentile ranks.
+ */
+
+/**
+ * Norms table structure (plain JSON so tables can be swapped without code changes):
+ * - id, version, description: identification recorded with every scored session
+ * - ageBands: [{ id, minMonths, maxMonths }] - inclusive age ranges in months
+ * - tasks: { [taskId]: { [ageBandId]: { accuracy: { mean, sd }, medianRT: { mean, sd } } } }
+ *
+ * The default values below are PROVISIONAL placeholders pending local norming studies.
+ */
+export const DEFAULT_NORMS = {
+    id: 'lexiscan-provisional',
+    version: '0.1.0',
+    description: 'Provisional reference values - replace with locally collected norms before clinical use',
+    ageBands: [
+        { id: '10y', minMonths: 120, maxMonths: 131 },
+        { id: '11y', minMonths: 132, maxMonths: 143 },
+        { id: '12y', minMonths: 144, maxMonths: 155 },
+        { id: '13y', minMonths: 156, maxMonths: 167 },
+        { id: '14y', minMonths: 168, maxMonths: 179 }
+    ],
+    tasks: {
+        baseline_literacy: {
+            '10y': { accuracy: { mean: 95, sd: 6 }, medianRT: { mean: 1250, sd: 300 } },
+            '11y': { accuracy: { mean: 96, sd: 5 }, medianRT: { mean: 1150, sd: 280 } },
+            '12y': { accuracy: { mean: 97, sd: 5 }, medianRT: { mean: 1080, sd: 260 } },
+            '13y': { accuracy: { mean: 97, sd: 4 }, medianRT: { mean: 1020, sd: 250 } },
+            '14y': { accuracy: { mean: 98, sd: 4 }, medianRT: { mean: 980, sd: 240 } }
+        },
+        phoneme_grapheme: {
+            '10y': { accuracy: { mean: 86, sd: 11 }, medianRT: { mean: 1400, sd: 350 } },
+            '11y': { accuracy: { mean: 88, sd: 10 }, medianRT: { mean: 1320, sd: 330 } },
+            '12y': { accuracy: { mean: 90, sd: 9 }, medianRT: { mean: 1250, sd: 310 } },
+            '13y': { accuracy: { mean: 91, sd: 9 }, medianRT: { mean: 1200, sd: 300 } },
+            '14y': { accuracy: { mean: 92, sd: 8 }, medianRT: { mean: 1150, sd: 290 } }
+        },
+        visual_confusable: {
+            '10y': { accuracy: { mean: 92, sd: 8 }, medianRT: { mean: 1100, sd: 260 } },
+            '11y': { accuracy: { mean: 93, sd: 7 }, medianRT: { mean: 1030, sd: 240 } },
+            '12y': { accuracy: { mean: 94, sd: 7 }, medianRT: { mean: 970, sd: 230 } },
+            '13y': { accuracy: { mean: 95, sd: 6 }, medianRT: { mean: 920, sd: 220 } },
+            '14y': { accuracy: { mean: 95, sd: 6 }, medianRT: { mean: 880, sd: 210 } }
+        },
+        visual_masking: {
+            '10y': { accuracy: { mean: 82, sd: 13 }, medianRT: { mean: 1250, sd: 320 } },
+            '11y': { accuracy: { mean: 84, sd: 12 }, medianRT: { mean: 1180, sd: 300 } },
+            '12y': { accuracy: { mean: 86, sd: 11 }, medianRT: { mean: 1120, sd: 290 } },
+            '13y': { accuracy: { mean: 88, sd: 11 }, medianRT: { mean: 1070, sd: 280 } },
+            '14y': { accuracy: { mean: 89, sd: 10 }, medianRT: { mean: 1030, sd: 270 } }
+        },
+        lexical_decision: {
+            '10y': { accuracy: { mean: 84, sd: 10 }, medianRT: { mean: 1350, sd: 330 } },
+            '11y': { accuracy: { mean: 86, sd: 9 }, medianRT: { mean: 1260, sd: 310 } },
+            '12y': { accuracy: { mean: 88, sd: 9 }, medianRT: { mean: 1180, sd: 290 } },
+            '13y': { accuracy: { mean: 89, sd: 8 }, medianRT: { mean: 1120, sd: 280 } },
+            '14y': { accuracy: { mean: 90, sd: 8 }, medianRT: { mean: 1070, sd: 270 } }
+        },
+        attention_check: {
+            '10y': { accuracy: { mean: 92, sd: 9 }, medianRT: { mean: 1050, sd: 260 } },
+            '11y': { accuracy: { mean: 93, sd: 8 }, medianRT: { mean: 990, sd: 240 } },
+            '12y': { accuracy: { mean: 94, sd: 7 }, medianRT: { mean: 940, sd: 230 } },
+            '13y': { accuracy: { mean: 95, sd: 7 }, medianRT: { mean: 900, sd: 220 } },
+            '14y': { accuracy: { mean: 95, sd: 6 }, medianRT: { mean: 860, sd: 210 } }
+        }
+    }
+};
+
+export default class NormsTable {
+    constructor(definition = DEFAULT_NORMS) {
+        NormsTable.validate(definition);
+        this.definition = definition;
+    }
+
+    /**
+     * Build a table from a parsed JSON document, throwing on malformed input.
+     * @param {Object} json - Parsed norms document
+     * @returns {NormsTable}
+     */
+    static fromJSON(json) {
+        return new NormsTable(json);
+    }
+
+    static validate(def) {
+        if (!def || typeof def !== 'object') {
+            throw new Error('Norms table must be an object');
+        }
+        if (!def.id || !Array.isArray(def.ageBands) || !def.tasks) {
+            throw new Error('Norms table requires id, ageBands and tasks');
+        }
+
+        def.ageBands.forEach(band => {
+            if (!band.id || typeof band.minMonths !== 'number' || typeof band.maxMonths !== 'number') {
+                throw new Error(`Invalid age band: ${JSON.stringify(band)}`);
+            }
+        });
+
+        Object.entries(def.tasks).forEach(([taskId, bands]) => {
+            Object.entries(bands).forEach(([bandId, entry]) => {
+                ['accuracy', 'medianRT'].forEach(metric => {
+                    const ref = entry[metric];
+                    if (ref && (typeof ref.mean !== 'number' || !(ref.sd > 0))) {
+                        throw new Error(`Invalid ${metric} norms for ${taskId} / ${bandId}`);
+                    }
+                });
+            });
+        });
+    }
+
+    get info() {
+        return {
+            id: this.definition.id,
+            version: this.definition.version || null
+        };
+    }
+
+    findAgeBand(ageMonths) {
+        if (typeof ageMonths !== 'number') return null;
+        return this.definition.ageBands.find(b => ageMonths >= b.minMonths && ageMonths <= b.maxMonths) || null;
+    }
+
+    /**
+     * Compare a task summary against the reference values for the participant's age band.
+     * RT percentiles are reported so that higher = faster, matching the direction of accuracy.
+     * @param {string} taskId - Task identifier used as the norms key
+     * @param {Object} summary - Task summary from DataManager.endTask()
+     * @param {number} ageMonths - Participant age in months
+     * @returns {Object|null} - { ageBand, accuracyZ, accuracyPercentile, rtZ, rtPercentile }
+     */
+    score(taskId, summary, ageMonths) {
+        const band = this.findAgeBand(ageMonths);
+        const taskNorms = this.definition.tasks[taskId];
+        if (!band || !taskNorms || !taskNorms[band.id]) return null;
+
+        const ref = taskNorms[band.id];
+        const accuracyZ = this.zScore(summary.accuracy, ref.accuracy);
+        const rtZ = this.zScore(summary.medianRT, ref.medianRT);
+
+        return {
+            normsId: this.definition.id,
+            ageBand: band.id,
+            accuracyZ,
+            accuracyPercentile: accuracyZ !== null ? this.percentile(accuracyZ) : null,
+            rtZ,
+            rtPercentile: rtZ !== null ? this.percentile(-rtZ) : null
+        };
+    }
+
+    zScore(value, ref) {
+        if (!ref || value === null || value === undefined) return null;
+        return (value - ref.mean) / ref.sd;
+    }
+
+    // Percentile rank from the standard normal CDF
+    percentile(z) {
+        return this.normalCDF(z) * 100;
+    }
+
+    normalCDF(z) {
+        // Abramowitz & Stegun 7.1.26 approximation of erf
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Lexiscan-Lite - Session Persistence
+ * Crash-safe storage of in-progress sessions in IndexedDB (this device only).
+ * Completed sessions are removed; nothing is sent anywhere.
+ */
+
+const DB_NAME = 'lexiscan-lite';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+export const SESSION_STATUS = {
+    IN_PROGRESS: 'in_progress'
+};
+
+export default class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    get isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.isAvailable) return Promise.resolve(null);
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request in a transaction.
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} - Request result (null when IndexedDB is unavailable)
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = makeRequest(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Save (overwrite) the snapshot of an in-progress session.
+     * @param {Object} snapshot - { id, taskIndex, taskCount, trialIndex, battery, norms, data }
+     */
+    save(snapshot) {
+        return this.request('readwrite', store => store.put({
+            ...snapshot,
+            status: SESSION_STATUS.IN_PROGRESS,
+            savedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Most recently saved interrupted session, if any.
+     * @returns {Promise<Object|null>}
+     */
+    async findInterrupted() {
+        const all = await this.request('readonly', store => store.getAll());
+        if (!all || all.length === 0) return null;
+
+        return all
+            .filter(s => s.status === SESSION_STATUS.IN_PROGRESS)
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt))[0] || null;
+    }
+
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,339 @@
+/**
+ * Lexiscan-Lite - Printable Report
+ * Builds a self-contained, print-styled HTML document for student files ("Save as PDF" ready).
+ */
+import { FONT_CONDITIONS, FONT_LABELS } from './fonts.js';
+import { QUALITY_STATUS } from './quality.js';
+import { ERROR_TYPES, ERROR_TYPE_LABELS } from './error-taxonomy.js';
+
+const DISCLAIMER = 'This is a screening tool, not a clinical diagnosis. Results indicate whether further ' +
+    'evaluation may be warranted and should be reviewed by a qualified professional together with ' +
+    'educational history and classroom observations.';
+
+const PRINT_STYLES = `
+    @page { size: A4; margin: 16mm 14mm; }
+    * { box-sizing: border-box; }
+    body { font-family: 'Inter', Arial, sans-serif; font-size: 10.5pt; color: #1A2B4A; line-height: 1.4; margin: 0 auto; max-width: 190mm; padding: 12mm 0; }
+    h1 { font-size: 17pt; margin: 0 0 2mm; }
+    h2 { font-size: 11.5pt; margin: 6mm 0 2mm; padding-bottom: 1mm; border-bottom: 1px solid #DFE3E8; }
+    p { margin: 0 0 2mm; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 2mm; }
+    th, td { text-align: left; padding: 1.2mm 2mm; border-bottom: 1px solid #E8EBEF; font-size: 9.5pt; }
+    th { background: #F4F6F9; font-weight: 600; }
+    td.num, th.num { text-align: right; }
+    .meta { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1mm 6mm; margin-bottom: 2mm; }
+    .meta div span { display: block; font-size: 8pt; color: #6B7A90; text-transform: uppercase; letter-spacing: 0.04em; }
+    .outcome { display: inline-block; padding: 1mm 4mm; border-radius: 3mm; font-weight: 600; background: #F4F6F9; }
+    .outcome.level-low { background: #E3F4E8; color: #1E7B34; }
+    .outcome.level-moderate { background: #FFF4D6; color: #8A5A00; }
+    .outcome.level-elevated { background: #FBE3E1; color: #A93226; }
+    .muted { color: #6B7A90; }
+    .caveat { color: #8A5A00; }
+    .quality { padding: 3mm; border: 1px solid #DFE3E8; border-radius: 2mm; }
+    .quality.status-caution { border-color: #E0B000; background: #FFF8E1; }
+    .quality.status-invalid { border: 2px solid #A93226; background: #FBE3E1; }
+    ul { margin: 1mm 0 2mm 5mm; padding: 0; }
+    .disclaimer { margin-top: 6mm; padding: 3mm; border: 1px solid #DFE3E8; border-radius: 2mm; font-size: 9pt; }
+    .signature { display: grid; grid-template-columns: 1fr 1fr; gap: 10mm; margin-top: 10mm; font-size: 9pt; color: #6B7A90; }
+    .signature div { border-top: 1px solid #1A2B4A; padding-top: 1mm; }
+    .no-print { margin-bottom: 6mm; }
+    section { break-inside: avoid; }
+    @media print { .no-print { display: none; } body { padding: 0; } }
+`;
+
+export default class PrintableReport {
+    /**
+     * Build the report document.
+     * @param {DataManager} data - Session data manager with completed tasks
+     * @returns {string} - Complete HTML document
+     */
+    build(data) {
+        const session = data.sessionData;
+        const outcome = data.calculateScreeningOutcome();
+        const quality = data.calculateQuality();
+        const stability = data.calculateAttentionStability();
+        const confusions = data.getRepeatedConfusions();
+        const lexical = data.calculateLexicalComparison();
+        const rapidNaming = data.calculateRapidNaming();
+        const taxonomy = data.calculateErrorTaxonomy();
+        const consistency = data.calculateConsistency();
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Lexiscan-Lite Report ${this.escape(session.id)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<p class="no-print"><button onclick="window.print()">Print / Save as PDF</button></p>
+<h1>Lexiscan-Lite Screening Report</h1>
+${this.renderMetadata(session)}
+${this.renderQuality(quality)}
+${this.renderOutcome(outcome)}
+${this.renderTaskTable(session.tasks)}
+${lexical ? this.renderLexical(lexical) : ''}
+${rapidNaming.length > 0 ? this.renderRapidNaming(rapidNaming) : ''}
+${this.renderConfusions(confusions)}
+${this.renderErrorTaxonomy(taxonomy)}
+${this.renderStability(stability)}
+${consistency.map(pair => this.renderConsistency(pair)).join('\n')}
+${session.fontComparison.deltas ? this.renderFontComparison(session.fontComparison) : ''}
+<p class="disclaimer"><strong>Screening disclaimer:</strong> ${this.escape(DISCLAIMER)}</p>
+<div class="signature"><div>Reviewed by</div><div>Date</div></div>
+</body>
+</html>`;
+    }
+
+    // ==================== SECTIONS ====================
+
+    renderMetadata(session) {
+        const p = session.participant;
+        const age = p.ageMonths !== null ? `${Math.floor(p.ageMonths / 12)}y ${p.ageMonths % 12}m` : 'N/A';
+        const fields = [
+            ['Session ID', session.id],
+            ['Date', this.formatDate(session.startTime)],
+            ['Participant code', p.code || 'N/A'],
+            ['Age', age],
+            ['Grade', p.grade !== null ? p.grade : 'N/A'],
+            ['Battery', session.battery ? `${session.battery.id} ${session.battery.version}` : 'N/A'],
+            ['Seed', session.seed],
+            ['Phoneme audio', session.audioPack ? `${session.audioPack.id} ${session.audioPack.version}` : 'Speech synthesis'],
+            ['Norms', session.norms ? `${session.norms.id} ${session.norms.version || ''}`.trim() : 'N/A']
+        ];
+
+        return `<section class="meta">${fields.map(([label, value]) =>
+            `<div><span>${this.escape(label)}</span>${this.escape(value)}</div>`).join('')}</section>`;
+    }
+
+    renderQuality(quality) {
+        const labels = {
+            [QUALITY_STATUS.VALID]: 'No response-pattern problems detected.',
+            [QUALITY_STATUS.CAUTION]: 'Interpret with caution - see the flags below.',
+            [QUALITY_STATUS.INVALID]: 'Results should not be trusted - the response pattern suggests guessing, disengagement or invalid responding.'
+        };
+        const flags = quality.flags.length > 0
+            ? `<ul>${quality.flags.map(f => `<li><strong>${this.escape(f.severity)}:</strong> ${this.escape(f.message)}</li>`).join('')}</ul>`
+            : '';
+
+        return `<section class="quality status-${quality.status}">
+<h2>Session Validity</h2>
+<p><strong>${this.escape(labels[quality.status])}</strong></p>
+${flags}
+</section>`;
+    }
+
+    renderOutcome(outcome) {
+        const label = outcome.level ? `${outcome.level.toUpperCase()} indicators` : 'Insufficient data';
+        const reasons = outcome.reasons.length > 0
+            ? `<ul>${outcome.reasons.map(r => `<li>${this.escape(r)}</li>`).join('')}</ul>`
+            : '<p class="muted">No indicator exceeded its concern threshold.</p>';
+        const caveats = outcome.caveats.map(c => `<p class="caveat">${this.escape(c)}</p>`).join('');
+
+        return `<section>
+<h2>Screening Outcome</h2>
+<p><span class="outcome level-${outcome.level || 'none'}">${this.escape(label)}</span></p>
+${reasons}
+${caveats}
+</section>`;
+    }
+
+    renderTaskTable(tasks) {
+        if (tasks.length === 0) {
+            return '<section><h2>Task Summaries</h2><p class="muted">No scored tasks were completed.</p></section>';
+        }
+
+        const rows = tasks.map(task => {
+            const s = task.summary;
+            const n = s.norms || {};
+            return `<tr>
+<td>${this.escape(task.title || task.taskId)}${task.font ? ` <span class="muted">(${this.escape(FONT_LABELS[task.font])})</span>` : ''}</td>
+<td class="num">${s.correctCount}/${s.totalTrials}</td>
+<td class="num">${this.formatNumber(s.accuracy, 1, '%')}</td>
+<td class="num">${this.formatNumber(s.medianRT, 0, ' ms')}</td>
+<td class="num">${s.timeouts}</td>
+<td class="num">${this.formatNumber(n.accuracyPercentile, 0)}</td>
+<td class="num">${this.formatNumber(n.rtPercentile, 0)}</td>
+</tr>`;
+        }).join('');
+
+        return `<section>
+<h2>Task Summaries</h2>
+<table>
+<thead><tr><th>Task</th><th class="num">Correct</th><th class="num">Accuracy</th><th class="num">Median RT</th><th class="num">Timeouts</th><th class="num">Accuracy pctl</th><th class="num">Speed pctl</th></tr></thead>
+<tbody>${rows}</tbody>
+</table>
+<p class="muted">Percentiles are age-referenced; a higher speed percentile means faster responses.</p>
+</section>`;
+    }
+
+    renderLexical(lexical) {
+        const sdt = lexical.signalDetection;
+        const row = (label, stats) => `<tr><td>${label}</td><td class="num">${stats.trials}</td>` +
+            `<td class="num">${this.formatNumber(stats.accuracy, 1, '%')}</td><td class="num">${this.formatNumber(stats.medianRT, 0, ' ms')}</td></tr>`;
+
+        return `<section>
+<h2>Real Words vs Pseudowords</h2>
+<table>
+<thead><tr><th>Items</th><th class="num">Trials</th><th class="num">Accuracy</th><th class="num">Median RT</th></tr></thead>
+<tbody>${row('Real words', lexical.real)}${row('Pseudowords', lexical.pseudo)}</tbody>
+</table>
+<table><tbody>
+<tr><td>Hits / misses</td><td class="num">${sdt.hits} / ${sdt.misses}</td></tr>
+<tr><td>False alarms / correct rejections</td><td class="num">${sdt.falseAlarms} / ${sdt.correctRejections}</td></tr>
+<tr><td>Sensitivity (d′)</td><td class="num">${this.formatNumber(sdt.dPrime, 2)}</td></tr>
+<tr><td>Criterion (c)</td><td class="num">${this.formatNumber(sdt.criterion, 2)}</td></tr>
+</tbody></table>
+<p class="muted">Real words are treated as the signal; rates use the log-linear correction. Negative c indicates a tendency to answer YES.</p>
+</section>`;
+    }
+
+    renderRapidNaming(tasks) {
+        const rows = tasks.flatMap(task => Object.entries(task.metrics.charts).map(([chart, m]) => `<tr>
+<td>${this.escape(chart)}${task.font ? ` <span class="muted">(${this.escape(FONT_LABELS[task.font])})</span>` : ''}</td>
+<td class="num">${m.totalTime !== null ? this.formatNumber(m.totalTime / 1000, 1, ' s') : 'Not finished'}</td>
+<td class="num">${this.formatNumber(m.itemsPerSecond, 2)}</td>
+<td class="num">${this.formatNumber(m.medianInterval, 0, ' ms')}</td>
+<td class="num">${m.errors}</td>
+</tr>`)).join('');
+
+        return `<section>
+<h2>Rapid Naming</h2>
+<table>
+<thead><tr><th>Chart</th><th class="num">Total time</th><th class="num">Items / s</th><th class="num">Median interval</th><th class="num">Errors</th></tr></thead>
+<tbody>${rows}</tbody>
+</table>
+<p class="muted">Errors are items the supervisor marked as misnamed.</p>
+</section>`;
+    }
+
+    renderConfusions(confusions) {
+        const body = confusions.length === 0
+            ? '<p class="muted">No repeated confusions detected.</p>'
+            : `<table><thead><tr><th>Confusion (target → chosen)</th><th class="num">Count</th></tr></thead><tbody>${
+                confusions.map(([key, count]) =>
+                    `<tr><td>${this.escape(key.replace('->', ' → '))}</td><td class="num">${count}</td></tr>`).join('')
+            }</tbody></table>`;
+
+        return `<section><h2>Repeated Confusions</h2>${body}</section>`;
+    }
+
+    renderErrorTaxonomy(taxonomy) {
+        // Only error types that occurred get a column
+        const types = Object.values(ERROR_TYPES).filter(type => taxonomy.byType[type] > 0);
+        if (types.length === 0) {
+            return '<section><h2>Error Types</h2><p class="muted">No classified errors.</p></section>';
+        }
+
+        const rows = taxonomy.byTask.map(task => `<tr>
+<td>${this.escape(task.title || task.taskId)}${task.font ? ` <span class="muted">(${this.escape(FONT_LABELS[task.font])})</span>` : ''}</td>
+<td>${this.escape(task.modality)}</td>
+${types.map(type => `<td class="num">${task.byType[type]}</td>`).join('')}
+</tr>`).join('');
+        const d = taxonomy.byDomain;
+
+        return `<section>
+<h2>Error Types</h2>
+<p>Visual errors: <strong>${d.visual}</strong> · Phonological errors: <strong>${d.phonological}</strong> · Unclassified: ${d.unclassified}</p>
+<table>
+<thead><tr><th>Task</th><th>Stimulus</th>${types.map(type => `<th class="num">${this.escape(ERROR_TYPE_LABELS[type])}</th>`).join('')}</tr></thead>
+<tbody>${rows}</tbody>
+</table>
+<p class="muted">The same letter pair is classified by how the item was presented: b → p is a vertical inversion when seen and a voicing confusion when heard.</p>
+</section>`;
+    }
+
+    renderStability(stability) {
+        return `<section>
+<h2>Attention Stability</h2>
+<table><tbody>
+<tr><td>RT standard deviation</td><td class="num">${this.formatNumber(stability.overallStdDev, 0, ' ms')}</td></tr>
+<tr><td>Coefficient of variation</td><td class="num">${this.formatNumber(stability.coefficientOfVariation, 1, '%')}</td></tr>
+<tr><td>RT interquartile range</td><td class="num">${this.formatNumber(stability.iqr, 0, ' ms')}</td></tr>
+<tr><td>Robust CV (IQR / median)</td><td class="num">${this.formatNumber(stability.robustCV, 1, '%')}</td></tr>
+</tbody></table>
+<p class="muted">Based on ${stability.tasks.length > 0 ? this.escape(stability.tasks.join(' and ')) : 'no repeated task'}. A coefficient of variation above 30% may indicate attention instability; the robust CV is less affected by a few slow responses.</p>
+</section>`;
+    }
+
+    renderConsistency(pair) {
+        const signed = (value, digits, suffix) =>
+            value !== null ? `${value >= 0 ? '+' : ''}${value.toFixed(digits)}${suffix}` : 'N/A';
+        const sides = [['First run', pair.testId, pair.test], ['Repeat', pair.retestId, pair.retest]];
+        const rows = sides.map(([label, id, side]) => `<tr>
+<td>${label} (${this.escape(id)})</td>
+<td class="num">${this.formatNumber(side.matched.accuracy, 1, '%')}</td>
+<td class="num">${this.formatNumber(side.matched.medianRT, 0, ' ms')}</td>
+<td class="num">${this.formatNumber(side.robustCV, 1, '%')}</td>
+<td class="num">${side.rtSlope !== null ? signed(side.rtSlope, 1, ' ms') : 'N/A'}</td>
+</tr>`).join('');
+        const items = pair.items.map(item => `<tr>
+<td>${this.escape(item.target)}</td>
+<td class="num">${item.test.trials}</td>
+<td class="num">${this.formatNumber(item.test.accuracy, 0, '%')}</td>
+<td class="num">${this.formatNumber(item.test.medianRT, 0, ' ms')}</td>
+<td class="num">${item.retest.trials}</td>
+<td class="num">${this.formatNumber(item.retest.accuracy, 0, '%')}</td>
+<td class="num">${this.formatNumber(item.retest.medianRT, 0, ' ms')}</td>
+</tr>`).join('');
+
+        return `<section>
+<h2>Test-Retest Consistency</h2>
+<table>
+<thead><tr><th>Run</th><th class="num">Accuracy (matched)</th><th class="num">Median RT (matched)</th><th class="num">Robust CV</th><th class="num">RT slope per trial</th></tr></thead>
+<tbody>${rows}
+<tr><td><strong>Drift (repeat − first run)</strong></td>
+<td class="num">${signed(pair.drift.accuracy, 1, ' pts')}</td>
+<td class="num">${signed(pair.drift.medianRT, 0, ' ms')}</td><td></td><td></td></tr>
+</tbody>
+</table>
+<table>
+<thead><tr><th>Letter</th><th class="num">Trials</th><th class="num">Accuracy</th><th class="num">Median RT</th><th class="num">Repeat trials</th><th class="num">Repeat accuracy</th><th class="num">Repeat median RT</th></tr></thead>
+<tbody>${items}</tbody>
+</table>
+<p class="muted">Only letters shown in both runs are compared. Lower accuracy or slower RTs on the repeat, or a positive RT slope within a run, may indicate fatigue.</p>
+</section>`;
+    }
+
+    renderFontComparison(comparison) {
+        const signed = (value, digits, suffix) =>
+            value !== null ? `${value >= 0 ? '+' : ''}${value.toFixed(digits)}${suffix}` : 'N/A';
+        const rows = [FONT_CONDITIONS.STANDARD, FONT_CONDITIONS.DYSLEXIA].map(font => `<tr>
+<td>${this.escape(FONT_LABELS[font])}${font === comparison.firstFont ? ' (shown first)' : ''}</td>
+<td class="num">${comparison[font].trials}</td>
+<td class="num">${this.formatNumber(comparison[font].accuracy, 1, '%')}</td>
+<td class="num">${this.formatNumber(comparison[font].medianRT, 0, ' ms')}</td>
+</tr>`).join('');
+
+        return `<section>
+<h2>Font Comparison</h2>
+<table>
+<thead><tr><th>Condition</th><th class="num">Trials</th><th class="num">Accuracy</th><th class="num">Median RT</th></tr></thead>
+<tbody>${rows}
+<tr><td><strong>Difference (dyslexia-friendly − standard)</strong></td><td></td>
+<td class="num">${signed(comparison.deltas.accuracy, 1, ' pts')}</td>
+<td class="num">${signed(comparison.deltas.medianRT, 0, ' ms')}</td></tr>
+</tbody>
+</table>
+<p class="muted">Higher accuracy or lower RT with the dyslexia-friendly font may suggest it helps; a single session is indicative only.</p>
+</section>`;
+    }
+
+    // ==================== HELPERS ====================
+
+    formatNumber(value, digits, suffix = '') {
+        return value !== null && value !== undefined ? `${value.toFixed(digits)}${suffix}` : 'N/A';
+    }
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleString();
+    }
+
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
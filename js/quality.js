@@ -0,0 +1,222 @@
+/**
+ * Lexiscan-Lite - Session Quality Checks
+ * Flags response patterns (random clicking, anticipations, position bias, disengagement)
+ * that make a session's results untrustworthy.
+ */
+import { TASK_TYPES } from './tasks.js';
+import registry from './task-types/registry.js';
+
+export const QUALITY_STATUS = {
+    VALID: 'valid',         // no flags
+    CAUTION: 'caution',     // interpret with care
+    INVALID: 'invalid'      // results should not be interpreted
+};
+
+export const FLAG_SEVERITY = {
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+/**
+ * Quality configuration structure:
+ * - anticipation: RTs under floorMs are anticipations; flagged above maxProportion of responses
+ * - positionBias: per option count, flagged when one shuffled screen position takes more than
+ *   `excess` of the way from chance share to always-the-same (needs minResponses)
+ * - timeouts: flagged for a run of maxRun consecutive timeouts or above maxProportion overall
+ * - chance: practice/baseline accuracy flagged when P(score this high by guessing) exceeds maxP
+ * - hiddenPages: tab/window hidden during a trial this many times or more
+ * - audioFailures: trials invalidated because the stimulus audio never played; critical when
+ *   any task keeps fewer than minValidProportion of its trials
+ */
+export const DEFAULT_QUALITY_CONFIG = {
+    anticipation: { floorMs: 200, maxProportion: 0.1 },
+    positionBias: { minResponses: 8, excess: 0.5 },
+    timeouts: { maxRun: 3, maxProportion: 0.3 },
+    chance: { maxP: 0.2 },
+    hiddenPages: { max: 1 },
+    audioFailures: { minValidProportion: 0.5 }
+};
+
+export default class QualityChecker {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_QUALITY_CONFIG, ...config };
+    }
+
+    /**
+     * Check a session.
+     * @param {Object} sessionData - DataManager session data
+     * @returns {Object} - { status, flags: [{ id, severity, message }] }
+     */
+    check(sessionData) {
+        // Invalid trials (e.g. audio that never played) say nothing about the student
+        const trials = sessionData.tasks.flatMap(t => t.trials).filter(t => !t.invalid);
+        const flags = [
+            this.checkAudioFailures(sessionData.tasks),
+            this.checkAnticipations(trials),
+            this.checkPositionBias(this.shuffledTrials(sessionData.tasks)),
+            ...this.checkTimeouts(trials),
+            ...this.checkChanceLevel(sessionData),
+            this.checkHiddenPages(sessionData.interruptions)
+        ].filter(Boolean);
+
+        let status = QUALITY_STATUS.VALID;
+        if (flags.some(f => f.severity === FLAG_SEVERITY.CRITICAL)) {
+            status = QUALITY_STATUS.INVALID;
+        } else if (flags.length > 0) {
+            status = QUALITY_STATUS.CAUTION;
+        }
+
+        return { status, flags };
+    }
+
+    // ==================== CHECKS ====================
+
+    checkAnticipations(trials) {
+        const { floorMs, maxProportion } = this.config.anticipation;
+        const responses = trials.filter(t => t.reactionTime !== null);
+        const fast = responses.filter(t => t.reactionTime < floorMs);
+        if (responses.length === 0 || fast.length / responses.length <= maxProportion) return null;
+
+        return {
+            id: 'anticipation',
+            severity: FLAG_SEVERITY.CRITICAL,
+            message: `${fast.length} of ${responses.length} responses were faster than ${floorMs} ms - too fast to have read the item`
+        };
+    }
+
+    // YES/NO buttons keep a fixed layout, so there the position is the answer, not a bias
+    shuffledTrials(tasks) {
+        return tasks
+            .filter(t => !(registry.has(t.taskType) && registry.get(t.taskType).binary))
+            .flatMap(t => t.trials)
+            .filter(t => !t.invalid);
+    }
+
+    checkPositionBias(trials) {
+        const { minResponses, excess } = this.config.positionBias;
+
+        // Group by option count so chance share is the same within a group
+        const groups = {};
+        trials.filter(t => t.optionOrder && t.selectedPosition !== null).forEach(t => {
+            const count = t.optionOrder.length;
+            (groups[count] = groups[count] || []).push(t.selectedPosition);
+        });
+
+        const biased = Object.entries(groups)
+            .filter(([_, positions]) => positions.length >= minResponses)
+            .map(([count, positions]) => {
+                const tally = positions.reduce((acc, p) => ({ ...acc, [p]: (acc[p] || 0) + 1 }), {});
+                const [position, hits] = Object.entries(tally).sort((a, b) => b[1] - a[1])[0];
+                const chance = 1 / Number(count);
+                return { count, position: Number(position), share: hits / positions.length, chance, n: positions.length };
+            })
+            .filter(g => g.share > g.chance + (1 - g.chance) * excess);
+
+        if (biased.length === 0) return null;
+
+        return {
+            id: 'positionBias',
+            severity: FLAG_SEVERITY.CRITICAL,
+            message: biased.map(g =>
+                `Position ${g.position + 1} of ${g.count} chosen on ${(g.share * 100).toFixed(0)}% of ${g.n} trials (chance ${(g.chance * 100).toFixed(0)}%)`
+            ).join('; ')
+        };
+    }
+
+    checkTimeouts(trials) {
+        const { maxRun, maxProportion } = this.config.timeouts;
+        const flags = [];
+
+        const timeouts = trials.filter(t => t.wasTimeout).length;
+        if (trials.length > 0 && timeouts / trials.length > maxProportion) {
+            flags.push({
+                id: 'timeouts',
+                severity: FLAG_SEVERITY.CRITICAL,
+                message: `${timeouts} of ${trials.length} trials timed out`
+            });
+        }
+
+        let run = 0;
+        let longest = 0;
+        trials.forEach(t => {
+            run = t.wasTimeout ? run + 1 : 0;
+            longest = Math.max(longest, run);
+        });
+        if (longest >= maxRun) {
+            flags.push({
+                id: 'timeoutRun',
+                severity: FLAG_SEVERITY.WARNING,
+                message: `${longest} consecutive trials timed out - the student may have disengaged`
+            });
+        }
+
+        return flags;
+    }
+
+    // Practice and baseline items are easy; near-chance scores suggest guessing. Only a warning:
+    // a genuinely low baseline is an instructional gap (see the scoring caveat), not a bad session
+    checkChanceLevel(sessionData) {
+        const tasks = [
+            ...(sessionData.practiceTasks || []),
+            ...sessionData.tasks.filter(t => t.taskType === TASK_TYPES.BASELINE_LITERACY)
+        ];
+
+        return tasks.map(task => {
+            const answered = task.trials.filter(t => !t.wasTimeout && !t.invalid);
+            if (answered.length === 0) return null;
+
+            const correct = answered.filter(t => t.isCorrect).length;
+            const chance = answered.reduce((sum, t) => sum + 1 / (t.distractors.length + 1), 0) / answered.length;
+            const p = this.binomialTail(correct, answered.length, chance);
+            if (p <= this.config.chance.maxP) return null;
+
+            return {
+                id: 'chanceLevel',
+                severity: FLAG_SEVERITY.WARNING,
+                message: `${task.title || task.taskId}: ${correct} of ${answered.length} correct is consistent with guessing (chance ${(chance * 100).toFixed(0)}%)` +
+                    (task.isWarmup ? '' : ' or with reading below the level of these words')
+            };
+        });
+    }
+
+    checkHiddenPages(interruptions = []) {
+        const hidden = interruptions.filter(i => i.type === 'hidden');
+        if (hidden.length < this.config.hiddenPages.max) return null;
+
+        const seconds = hidden.reduce((sum, i) => sum + (i.hiddenMs || 0), 0) / 1000;
+        return {
+            id: 'hiddenPage',
+            severity: FLAG_SEVERITY.WARNING,
+            message: `The test page was hidden ${hidden.length} time(s) during trials (${seconds.toFixed(0)} s in total)`
+        };
+    }
+
+    checkAudioFailures(tasks) {
+        const affected = tasks.filter(t => t.trials.some(tr => tr.invalid));
+        if (affected.length === 0) return null;
+
+        const invalid = affected.reduce((sum, t) => sum + t.trials.filter(tr => tr.invalid).length, 0);
+        const unusable = affected.some(t =>
+            t.trials.filter(tr => !tr.invalid).length / t.trials.length < this.config.audioFailures.minValidProportion
+        );
+
+        return {
+            id: 'audioFailure',
+            severity: unusable ? FLAG_SEVERITY.CRITICAL : FLAG_SEVERITY.WARNING,
+            message: `Stimulus audio did not play on ${invalid} trial(s); those trials were excluded from scoring`
+        };
+    }
+
+    // ==================== HELPERS ====================
+
+    // P(X >= k) for X ~ Binomial(n, p)
+    binomialTail(k, n, p) {
+        let total = 0;
+        let coefficient = 1;
+        for (let i = 0; i <= n; i++) {
+            if (i > 0) coefficient = coefficient * (n - i + 1) / i;
+            if (i >= k) total += coefficient * Math.pow(p, i) * Math.pow(1 - p, n - i);
+        }
+        return total;
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Lexiscan-Lite - Seeded Randomization
+ * Reproducible pseudo-random streams (mulberry32). Every random decision in a session is
+ * drawn from a stream derived from the session seed and a label, so the same seed replays
+ * the same trial orders, option layouts and masks regardless of the student's responses.
+ */
+
+// 32-bit FNV-1a string hash
+export function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function createSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Seed from user input (e.g. ?seed=): integers are used as-is, any other text is hashed.
+ * @returns {number|null} - Unsigned 32-bit seed, or null for empty input
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    return /^\d+$/.test(text) ? Number(text) >>> 0 : hashString(text);
+}
+
+export default class Random {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Independent stream for one purpose, e.g. Random.derive(seed, 'lexical_decision:order').
+     */
+    static derive(seed, label) {
+        return new Random(hashString(`${seed}:${label}`));
+    }
+
+    // mulberry32: float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    // Fisher-Yates shuffle of a copy
+    shuffle(array) {
+        const arr = [...array];
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * Lexiscan-Lite - Results Report
+ * Renders the counselor-facing summary on the results screen using plain DOM/SVG (no external libraries).
+ */
+
+import { FONT_CONDITIONS, FONT_LABELS } from './fonts.js';
+import { QUALITY_STATUS } from './quality.js';
+import registry from './task-types/registry.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const LEXICAL_RESPONSES = ['YES', 'NO'];
+
+export default class ResultsReport {
+    constructor(container) {
+        this.container = container;
+    }
+
+    /**
+     * Render the full report for a finished session.
+     * @param {DataManager} data - Session data manager with completed tasks
+     */
+    render(data) {
+        this.container.innerHTML = '';
+
+        const outcome = data.calculateScreeningOutcome();
+        this.container.appendChild(this.renderQuality(data.calculateQuality()));
+        this.container.appendChild(this.renderOutcome(outcome));
+        this.container.appendChild(this.renderTaskBars(data.sessionData.tasks));
+        this.container.appendChild(this.renderHeatmap(data.sessionData.confusionMatrix));
+        this.container.appendChild(this.renderLexicalComparison(data.calculateLexicalComparison()));
+        this.container.appendChild(this.renderStability(data.calculateAttentionStability()));
+        data.calculateConsistency().forEach(pair => this.container.appendChild(this.renderConsistency(pair)));
+
+        // Only batteries with a font comparison produce this section
+        if (data.sessionData.fontComparison.deltas) {
+            this.container.appendChild(this.renderFontComparison(data.sessionData.fontComparison));
+        }
+    }
+
+    // ==================== SECTIONS ====================
+
+    renderQuality(quality) {
+        const section = this.createSection('Session Validity');
+        section.classList.add(`quality-${quality.status}`);
+
+        const labels = {
+            [QUALITY_STATUS.VALID]: 'No response-pattern problems detected',
+            [QUALITY_STATUS.CAUTION]: 'Interpret with caution',
+            [QUALITY_STATUS.INVALID]: 'Results should not be trusted'
+        };
+        section.appendChild(this.createElement('div', `quality-badge status-${quality.status}`, labels[quality.status]));
+
+        if (quality.flags.length > 0) {
+            const list = this.createElement('ul', 'report-list');
+            quality.flags.forEach(flag => list.appendChild(this.createElement('li', `flag-${flag.severity}`, flag.message)));
+            section.appendChild(list);
+        }
+
+        return section;
+    }
+
+    renderOutcome(outcome) {
+        const section = this.createSection('Screening Outcome');
+
+        const badge = this.createElement('div', `outcome-badge level-${outcome.level || 'none'}`,
+            outcome.level ? `${outcome.level.toUpperCase()} indicators` : 'Insufficient data');
+        section.appendChild(badge);
+
+        if (outcome.reasons.length > 0) {
+            const list = this.createElement('ul', 'report-list');
+            outcome.reasons.forEach(reason => list.appendChild(this.createElement('li', null, reason)));
+            section.appendChild(list);
+        } else if (outcome.level) {
+            section.appendChild(this.createElement('p', 'report-muted', 'No indicator exceeded its concern threshold.'));
+        }
+
+        outcome.caveats.forEach(caveat => {
+            section.appendChild(this.createElement('p', 'report-caveat', caveat));
+        });
+
+        return section;
+    }
+
+    renderTaskBars(tasks) {
+        const section = this.createSection('Task Performance');
+
+        if (tasks.length === 0) {
+            section.appendChild(this.createElement('p', 'report-muted', 'No scored tasks were completed.'));
+            return section;
+        }
+
+        // Scale RT bars against the slowest median so tasks are comparable
+        // (stepwise tasks time a whole chart and are shown as text instead)
+        const stepwise = task => registry.get(task.taskType).stepwise;
+        const maxRT = Math.max(...tasks.filter(t => !stepwise(t)).map(t => t.summary.medianRT || 0), 1);
+
+        const table = this.createElement('div', 'bar-table');
+        table.appendChild(this.createBarHeader());
+
+        tasks.forEach(task => {
+            const s = task.summary;
+            const row = this.createElement('div', 'bar-row');
+            const label = task.title || task.taskId;
+            row.appendChild(this.createElement('span', 'bar-label', task.font ? `${label} (${FONT_LABELS[task.font]})` : label));
+            row.appendChild(s.accuracy !== null
+                ? this.createBar(s.accuracy, 100, `${s.accuracy.toFixed(0)}%`, 'bar-accuracy')
+                : this.createElement('span', 'bar-empty', 'N/A'));
+            if (s.medianRT === null) {
+                row.appendChild(this.createElement('span', 'bar-empty', 'N/A'));
+            } else if (stepwise(task)) {
+                row.appendChild(this.createElement('span', 'bar-empty', `${(s.medianRT / 1000).toFixed(1)} s per chart`));
+            } else {
+                row.appendChild(this.createBar(s.medianRT, maxRT, `${s.medianRT.toFixed(0)} ms`, 'bar-rt'));
+            }
+            table.appendChild(row);
+        });
+
+        section.appendChild(table);
+        return section;
+    }
+
+    renderHeatmap(confusionMatrix) {
+        const section = this.createSection('Confusion Heatmap');
+
+        // YES/NO errors belong to lexical decision and are shown in the real vs pseudoword section
+        const all = Object.entries(confusionMatrix)
+            .map(([key, count]) => {
+                const [target, selected] = key.split('->');
+                return { target, selected, count };
+            })
+            .filter(e => !LEXICAL_RESPONSES.includes(e.target));
+
+        const entries = all.filter(e => e.target.length === 1 && e.selected.length === 1);
+        const wordEntries = all.filter(e => !entries.includes(e));
+
+        if (entries.length === 0) {
+            section.appendChild(this.createElement('p', 'report-muted', 'No letter confusions recorded.'));
+        } else {
+            section.appendChild(this.createHeatmapSVG(entries));
+        }
+
+        if (wordEntries.length > 0) {
+            section.appendChild(this.createElement('p', 'report-muted',
+                'Multi-letter confusions: ' + wordEntries.map(e => `${e.target} → ${e.selected} (${e.count})`).join(', ')));
+        }
+
+        return section;
+    }
+
+    createHeatmapSVG(entries) {
+        const targets = [...new Set(entries.map(e => e.target))].sort();
+        const selections = [...new Set(entries.map(e => e.selected))].sort();
+        const maxCount = Math.max(...entries.map(e => e.count));
+
+        const cell = 36;
+        const margin = 48;
+        const width = margin + selections.length * cell;
+        const height = margin + targets.length * cell;
+
+        const svg = this.createSVG('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            width,
+            height,
+            class: 'heatmap',
+            role: 'img',
+            'aria-label': 'Confusion heatmap: rows are targets, columns are selected responses'
+        });
+
+        // Axis labels
+        svg.appendChild(this.createSVG('text', { x: 4, y: 14, class: 'heatmap-axis' }, 'target ↓ / chose →'));
+        selections.forEach((sel, col) => {
+            svg.appendChild(this.createSVG('text', {
+                x: margin + col * cell + cell / 2, y: margin - 8, class: 'heatmap-label', 'text-anchor': 'middle'
+            }, sel));
+        });
+        targets.forEach((target, row) => {
+            svg.appendChild(this.createSVG('text', {
+                x: margin - 10, y: margin + row * cell + cell / 2 + 5, class: 'heatmap-label', 'text-anchor': 'end'
+            }, target));
+        });
+
+        // Cells
+        targets.forEach((target, row) => {
+            selections.forEach((sel, col) => {
+                const entry = entries.find(e => e.target === target && e.selected === sel);
+                const count = entry ? entry.count : 0;
+                const x = margin + col * cell;
+                const y = margin + row * cell;
+
+                const rect = this.createSVG('rect', {
+                    x, y, width: cell - 2, height: cell - 2, rx: 4,
+                    class: count > 0 ? 'heatmap-cell' : 'heatmap-cell empty',
+                    'fill-opacity': count > 0 ? 0.2 + 0.8 * (count / maxCount) : 1
+                });
+                rect.appendChild(this.createSVG('title', {}, `${target} → ${sel}: ${count}`));
+                svg.appendChild(rect);
+
+                if (count > 0) {
+                    svg.appendChild(this.createSVG('text', {
+                        x: x + (cell - 2) / 2, y: y + (cell - 2) / 2 + 5, class: 'heatmap-count', 'text-anchor': 'middle'
+                    }, String(count)));
+                }
+            });
+        });
+
+        const wrapper = this.createElement('div', 'heatmap-wrapper');
+        wrapper.appendChild(svg);
+        return wrapper;
+    }
+
+    renderLexicalComparison(comparison) {
+        const section = this.createSection('Real Words vs Pseudowords');
+
+        if (!comparison) {
+            section.appendChild(this.createElement('p', 'report-muted', 'Lexical decision task not completed.'));
+            return section;
+        }
+
+        const maxRT = Math.max(comparison.real.medianRT || 0, comparison.pseudo.medianRT || 0, 1);
+        const table = this.createElement('div', 'bar-table');
+        table.appendChild(this.createBarHeader());
+
+        [['Real words', comparison.real], ['Pseudowords', comparison.pseudo]]
+            .forEach(([label, stats]) => table.appendChild(this.createBarRow(label, stats, maxRT)));
+
+        section.appendChild(table);
+
+        const sdt = comparison.signalDetection;
+        if (sdt && sdt.dPrime !== null) {
+            const bias = Math.abs(sdt.criterion) < 0.25 ? 'no clear bias'
+                : `bias towards ${sdt.criterion < 0 ? 'YES' : 'NO'}`;
+            section.appendChild(this.createElement('p', 'report-muted',
+                `Sensitivity d' = ${sdt.dPrime.toFixed(2)}, criterion c = ${sdt.criterion.toFixed(2)} (${bias}). ` +
+                `${sdt.hits} hits, ${sdt.falseAlarms} false alarms.`));
+        }
+
+        return section;
+    }
+
+    renderStability(stability) {
+        const section = this.createSection('Attention Stability');
+        const cv = stability.coefficientOfVariation;
+
+        const metric = this.createElement('div', 'stability-metric');
+        metric.appendChild(this.createElement('span', 'stability-value', cv !== null ? `${cv.toFixed(1)}%` : 'N/A'));
+        metric.appendChild(this.createElement('span', 'report-muted', 'RT coefficient of variation'));
+        section.appendChild(metric);
+
+        if (cv !== null) {
+            section.appendChild(this.createElement('p', cv > 30 ? 'report-caveat' : 'report-muted',
+                cv > 30 ? 'Above 30% - responses were unusually variable.' : 'Within the expected range (30% or below).'));
+        }
+        if (stability.robustCV !== null) {
+            section.appendChild(this.createElement('p', 'report-muted',
+                `Robust CV (IQR / median, unaffected by a few slow responses): ${stability.robustCV.toFixed(1)}%. ` +
+                `Based on ${stability.tasks.join(' and ')}.`));
+        }
+
+        return section;
+    }
+
+    // The repeated letters only, so drift is not confounded by the items that differ
+    renderConsistency(pair) {
+        const section = this.createSection('Test-Retest Consistency');
+        const sides = [['First run', pair.test], ['Repeat', pair.retest]];
+
+        const maxRT = Math.max(...sides.map(([, side]) => side.matched.medianRT || 0), 1);
+        const table = this.createElement('div', 'bar-table');
+        table.appendChild(this.createBarHeader());
+
+        sides.forEach(([label, side]) => table.appendChild(this.createBarRow(label, side.matched, maxRT)));
+        section.appendChild(table);
+
+        const { accuracy, medianRT } = pair.drift;
+        const parts = [];
+        if (accuracy !== null) parts.push(`${accuracy >= 0 ? '+' : ''}${accuracy.toFixed(1)} accuracy points`);
+        if (medianRT !== null) parts.push(`${medianRT >= 0 ? '+' : ''}${medianRT.toFixed(0)} ms median RT`);
+        section.appendChild(this.createElement('p', 'report-muted',
+            `Repeat minus first run on ${pair.items.length} matched letters: ${parts.join(', ') || 'N/A'}.`));
+
+        const slopes = sides
+            .filter(([, side]) => side.rtSlope !== null)
+            .map(([label, side]) => `${label.toLowerCase()} ${side.rtSlope >= 0 ? '+' : ''}${side.rtSlope.toFixed(0)} ms per trial`);
+        if (slopes.length > 0) {
+            section.appendChild(this.createElement('p', 'report-muted',
+                `RT trend within each task (positive = slowing, a possible sign of fatigue): ${slopes.join(', ')}.`));
+        }
+
+        return section;
+    }
+
+    renderFontComparison(comparison) {
+        const section = this.createSection('Font Comparison');
+        const conditions = [FONT_CONDITIONS.STANDARD, FONT_CONDITIONS.DYSLEXIA];
+
+        const maxRT = Math.max(...conditions.map(font => comparison[font].medianRT || 0), 1);
+        const table = this.createElement('div', 'bar-table');
+        table.appendChild(this.createBarHeader());
+
+        conditions.forEach(font => table.appendChild(this.createBarRow(FONT_LABELS[font], comparison[font], maxRT)));
+        section.appendChild(table);
+
+        const { accuracy, medianRT } = comparison.deltas;
+        const parts = [];
+        if (accuracy !== null) parts.push(`${accuracy >= 0 ? '+' : ''}${accuracy.toFixed(1)} accuracy points`);
+        if (medianRT !== null) parts.push(`${medianRT >= 0 ? '+' : ''}${medianRT.toFixed(0)} ms median RT`);
+        section.appendChild(this.createElement('p', 'report-muted',
+            `Dyslexia-friendly minus standard: ${parts.join(', ') || 'N/A'}. ` +
+            `${FONT_LABELS[comparison.firstFont] || 'N/A'} was shown first; a single session is indicative only.`));
+
+        return section;
+    }
+
+    // ==================== DOM HELPERS ====================
+
+    createSection(title) {
+        const section = this.createElement('section', 'report-section');
+        section.appendChild(this.createElement('h3', null, title));
+        return section;
+    }
+
+    createBarHeader() {
+        const header = this.createElement('div', 'bar-row bar-header');
+        header.appendChild(this.createElement('span', 'bar-label', ''));
+        header.appendChild(this.createElement('span', null, 'Accuracy'));
+        header.appendChild(this.createElement('span', null, 'Median RT'));
+        return header;
+    }
+
+    // Accuracy and median RT bars for one condition ({ accuracy, medianRT }, either may be null)
+    createBarRow(label, stats, maxRT) {
+        const row = this.createElement('div', 'bar-row');
+        row.appendChild(this.createElement('span', 'bar-label', label));
+        row.appendChild(stats.accuracy !== null
+            ? this.createBar(stats.accuracy, 100, `${stats.accuracy.toFixed(0)}%`, 'bar-accuracy')
+            : this.createElement('span', 'bar-empty', 'N/A'));
+        row.appendChild(stats.medianRT !== null
+            ? this.createBar(stats.medianRT, maxRT, `${stats.medianRT.toFixed(0)} ms`, 'bar-rt')
+            : this.createElement('span', 'bar-empty', 'N/A'));
+        return row;
+    }
+
+    createBar(value, max, label, className) {
+        const track = this.createElement('div', 'bar-track');
+        const fill = this.createElement('div', `bar-fill ${className}`);
+        fill.style.width = `${Math.max(0, Math.min(100, (value / max) * 100))}%`;
+        track.appendChild(fill);
+        track.appendChild(this.createElement('span', 'bar-value', label));
+        return track;
+    }
+
+    createElement(tag, className, text) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.textContent = text;
+        return el;
+    }
+
+    createSVG(tag, attrs = {}, text) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        if (text !== undefined) el.textContent = text;
+        return el;
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * Lexiscan-Lite - Scoring Engine
+ * Combines per-task summaries into weighted screening indicators and an overall outcome flag.
+ */
+import { TASK_TYPES } from './tasks.js';
+import { AUDIO_SOURCES } from './audio.js';
+
+export const RISK_LEVELS = {
+    LOW: 'low',
+    MODERATE: 'moderate',
+    ELEVATED: 'elevated'
+};
+
+export const INDICATOR_LEVELS = {
+    NONE: 'none',
+    CONCERN: 'concern',
+    STRONG: 'strong'
+};
+
+/**
+ * Scoring configuration structure:
+ * - indicators: keyed by indicator id
+ *   - weight: relative contribution to the overall score
+ *   - direction: 'below' (low values are a concern) or 'above' (high values are a concern)
+ *   - concern / strong: thresholds for the two indicator levels
+ * - overall: weighted score (0-1) cut-offs for the moderate and elevated flags
+ * - confusableLetters: letters whose mutual confusions count as reversal errors
+ * - baselineLiteracyFloor: accuracy (%) below which results may reflect instructional gaps
+ * - lexicalBiasCriterion: |c| at or above which a YES/NO response bias is reported
+ */
+export const DEFAULT_SCORING_CONFIG = {
+    indicators: {
+        phonemeGrapheme: { weight: 0.3, direction: 'below', concern: 80, strong: 60 },
+        phonologicalAwareness: { weight: 0.25, direction: 'below', concern: 75, strong: 60 },
+        pseudowordGap: { weight: 0.25, direction: 'above', concern: 15, strong: 30 },
+        letterConfusions: { weight: 0.25, direction: 'above', concern: 2, strong: 4 },
+        attentionStability: { weight: 0.2, direction: 'above', concern: 30, strong: 45 }
+    },
+    overall: {
+        moderate: 0.25,
+        elevated: 0.5
+    },
+    confusableLetters: ['b', 'd', 'p', 'q'],
+    baselineLiteracyFloor: 70,
+    lexicalBiasCriterion: 0.5
+};
+
+// Score contributed by each indicator level
+const LEVEL_SCORES = {
+    [INDICATOR_LEVELS.NONE]: 0,
+    [INDICATOR_LEVELS.CONCERN]: 0.5,
+    [INDICATOR_LEVELS.STRONG]: 1
+};
+
+export const INDICATOR_INFO = {
+    phonemeGrapheme: { label: 'Phoneme-grapheme accuracy', unit: '%' },
+    phonologicalAwareness: { label: 'Phonological awareness accuracy', unit: '%' },
+    pseudowordGap: { label: 'Real-word minus pseudoword accuracy', unit: ' pts' },
+    letterConfusions: { label: 'b/d/p/q confusions', unit: '' },
+    attentionStability: { label: 'RT coefficient of variation (repeated letter match)', unit: '%' }
+};
+
+export default class ScoringEngine {
+    constructor(config = {}) {
+        this.config = {
+            ...DEFAULT_SCORING_CONFIG,
+            ...config,
+            indicators: { ...DEFAULT_SCORING_CONFIG.indicators, ...config.indicators },
+            overall: { ...DEFAULT_SCORING_CONFIG.overall, ...config.overall }
+        };
+    }
+
+    /**
+     * Score a session.
+     * @param {Object} sessionData - DataManager session data (completed tasks with summaries)
+     * @param {Object} attentionStability - Result of DataManager.calculateAttentionStability()
+     * @returns {Object} - { level, score, indicators, reasons, caveats }
+     */
+    score(sessionData, attentionStability) {
+        const values = {
+            phonemeGrapheme: this.getPhonemeGraphemeAccuracy(sessionData.tasks),
+            phonologicalAwareness: this.getPhonologicalAwarenessAccuracy(sessionData.tasks),
+            pseudowordGap: this.getPseudowordGap(sessionData.tasks),
+            letterConfusions: this.countLetterConfusions(sessionData.confusionMatrix),
+            attentionStability: attentionStability ? attentionStability.coefficientOfVariation : null
+        };
+
+        const indicators = Object.entries(this.config.indicators).map(([id, rule]) =>
+            this.evaluateIndicator(id, rule, values[id])
+        );
+
+        // Missing tasks are excluded and the remaining weights renormalised
+        const available = indicators.filter(ind => ind.available);
+        const totalWeight = available.reduce((sum, ind) => sum + ind.weight, 0);
+        const score = totalWeight > 0
+            ? available.reduce((sum, ind) => sum + ind.weight * ind.score, 0) / totalWeight
+            : null;
+
+        const reasons = available
+            .filter(ind => ind.level !== INDICATOR_LEVELS.NONE)
+            .map(ind => ind.reason);
+
+        return {
+            level: this.classify(score),
+            score,
+            indicators,
+            reasons,
+            caveats: this.getCaveats(sessionData, available)
+        };
+    }
+
+    evaluateIndicator(id, rule, value) {
+        const info = INDICATOR_INFO[id] || { label: id, unit: '' };
+        const available = value !== null && value !== undefined && !Number.isNaN(value);
+
+        let level = INDICATOR_LEVELS.NONE;
+        if (available) {
+            const exceeds = threshold => rule.direction === 'below' ? value < threshold : value > threshold;
+            if (exceeds(rule.strong)) {
+                level = INDICATOR_LEVELS.STRONG;
+            } else if (exceeds(rule.concern)) {
+                level = INDICATOR_LEVELS.CONCERN;
+            }
+        }
+
+        const threshold = level === INDICATOR_LEVELS.STRONG ? rule.strong : rule.concern;
+        const comparison = rule.direction === 'below' ? 'below' : 'above';
+
+        return {
+            id,
+            label: info.label,
+            value,
+            unit: info.unit,
+            weight: rule.weight,
+            available,
+            level,
+            score: LEVEL_SCORES[level],
+            reason: available && level !== INDICATOR_LEVELS.NONE
+                ? `${info.label} ${this.formatValue(value)}${info.unit} is ${comparison} the ${level} threshold (${threshold}${info.unit})`
+                : null
+        };
+    }
+
+    classify(score) {
+        if (score === null) return null;
+        if (score >= this.config.overall.elevated) return RISK_LEVELS.ELEVATED;
+        if (score >= this.config.overall.moderate) return RISK_LEVELS.MODERATE;
+        return RISK_LEVELS.LOW;
+    }
+
+    getCaveats(sessionData, available) {
+        const caveats = [];
+        const tasks = sessionData.tasks;
+
+        const baseline = this.findTask(tasks, TASK_TYPES.BASELINE_LITERACY);
+        if (baseline && baseline.summary.accuracy !== null && baseline.summary.accuracy < this.config.baselineLiteracyFloor) {
+            caveats.push(`Baseline word recognition accuracy is ${this.formatValue(baseline.summary.accuracy)}% - results may reflect instructional gaps rather than dyslexia`);
+        }
+
+        const lexical = this.findTask(tasks, TASK_TYPES.LEXICAL_DECISION);
+        const sdt = lexical && lexical.summary.metrics ? lexical.summary.metrics.signalDetection : null;
+        if (sdt && sdt.criterion !== null && Math.abs(sdt.criterion) >= this.config.lexicalBiasCriterion) {
+            caveats.push(`Lexical decision answers were biased towards ${sdt.criterion < 0 ? 'YES' : 'NO'} (c = ${sdt.criterion.toFixed(2)}) - the pseudoword gap partly reflects response bias`);
+        }
+
+        const unscored = tasks.filter(t => t.summary && t.summary.totalTrials > 0 && t.summary.invalidTrials === t.summary.totalTrials);
+        if (unscored.length > 0) {
+            caveats.push(`No trial of ${unscored.map(t => t.title || t.taskId).join(', ')} could be scored (stimulus audio did not play) - not counted towards the screening flag`);
+        }
+
+        const synthesized = tasks
+            .flatMap(t => t.trials)
+            .filter(t => t.presentation && t.presentation.audio && t.presentation.audio.source !== AUDIO_SOURCES.RECORDED);
+        if (synthesized.length > 0) {
+            caveats.push(`${synthesized.length} spoken item(s) were played fully or partly with device speech synthesis rather than recorded audio - phoneme-grapheme and phonological awareness results may not be comparable across devices`);
+        }
+
+        if (sessionData.inputMode && sessionData.inputMode !== 'pointer') {
+            caveats.push(`Responses were given in ${sessionData.inputMode} mode - reaction times are not comparable with pointer-based norms`);
+        }
+
+        if (available.length < Object.keys(this.config.indicators).length) {
+            caveats.push('Not all indicators could be computed; the overall flag is based on the available tasks only');
+        }
+
+        return caveats;
+    }
+
+    // ==================== INDICATOR INPUTS ====================
+
+    getPhonemeGraphemeAccuracy(tasks) {
+        const task = this.findTask(tasks, TASK_TYPES.PHONEME_GRAPHEME);
+        return task && task.summary.completedTrials > 0 ? task.summary.accuracy : null;
+    }
+
+    // Pooled over rhyme, onset and blending tasks so short tasks are not over-weighted
+    getPhonologicalAwarenessAccuracy(tasks) {
+        const types = [TASK_TYPES.RHYME_JUDGEMENT, TASK_TYPES.ONSET_ODD_ONE_OUT, TASK_TYPES.PHONEME_BLENDING];
+        const summaries = tasks.filter(t => types.includes(t.taskType) && t.summary).map(t => t.summary);
+        const completed = summaries.reduce((sum, s) => sum + s.completedTrials, 0);
+        if (completed === 0) return null;
+
+        const correct = summaries.reduce((sum, s) => sum + s.correctCount, 0);
+        return (correct / completed) * 100;
+    }
+
+    getPseudowordGap(tasks) {
+        const task = this.findTask(tasks, TASK_TYPES.LEXICAL_DECISION);
+        if (!task || !task.summary.metrics) return null;
+
+        const real = task.summary.metrics.realWords.accuracy;
+        const pseudo = task.summary.metrics.pseudowords.accuracy;
+        return real !== null && pseudo !== null ? real - pseudo : null;
+    }
+
+    countLetterConfusions(confusionMatrix = {}) {
+        const letters = this.config.confusableLetters;
+        return Object.entries(confusionMatrix)
+            .filter(([key]) => {
+                const [target, selected] = key.split('->');
+                return letters.includes(target) && letters.includes(selected);
+            })
+            .reduce((sum, [_, count]) => sum + count, 0);
+    }
+
+    findTask(tasks, taskType) {
+        return tasks.find(t => t.taskType === taskType && t.summary);
+    }
+
+    formatValue(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+}
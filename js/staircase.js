@@ -0,0 +1,102 @@
+/**
+ * Lexiscan-Lite - Adaptive Staircase
+ * Transformed up/down staircase (default 2-down/1-up, converging on ~70.7% correct)
+ * used to estimate exposure-duration thresholds.
+ */
+
+/**
+ * Staircase configuration:
+ * - start: initial value (ms)
+ * - step: step size (ms); halved after each of the first `stepReductions` reversals
+ * - minStep: smallest step size (ms)
+ * - min / max: bounds for the value (ms)
+ * - down / up: consecutive correct responses before stepping down / errors before stepping up
+ * - thresholdReversals: number of final reversals averaged for the threshold estimate
+ */
+export const DEFAULT_STAIRCASE = {
+    start: 400,
+    step: 80,
+    minStep: 17,
+    stepReductions: 2,
+    min: 17,
+    max: 800,
+    down: 2,
+    up: 1,
+    thresholdReversals: 4
+};
+
+export default class Staircase {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_STAIRCASE, ...config };
+        this.value = this.config.start;
+        this.step = this.config.step;
+        this.correctRun = 0;
+        this.errorRun = 0;
+        this.lastDirection = null;
+        this.reversals = [];
+        this.history = [];
+    }
+
+    /**
+     * Update the staircase with a trial outcome.
+     * @param {boolean} correct - Whether the response was correct (timeouts count as errors)
+     * @returns {number} - Value to use on the next trial
+     */
+    update(correct) {
+        this.history.push({ value: this.value, correct });
+
+        let direction = null;
+        if (correct) {
+            this.correctRun++;
+            this.errorRun = 0;
+            if (this.correctRun >= this.config.down) {
+                direction = 'down';
+                this.correctRun = 0;
+            }
+        } else {
+            this.errorRun++;
+            this.correctRun = 0;
+            if (this.errorRun >= this.config.up) {
+                direction = 'up';
+                this.errorRun = 0;
+            }
+        }
+
+        if (!direction) return this.value;
+
+        if (this.lastDirection && direction !== this.lastDirection) {
+            this.reversals.push(this.value);
+            if (this.reversals.length <= this.config.stepReductions) {
+                this.step = Math.max(this.config.minStep, this.step / 2);
+            }
+        }
+        this.lastDirection = direction;
+
+        const next = direction === 'down' ? this.value - this.step : this.value + this.step;
+        this.value = Math.min(this.config.max, Math.max(this.config.min, Math.round(next)));
+        return this.value;
+    }
+
+    /**
+     * Threshold estimate: mean of the last reversals, or of the visited values
+     * when too few reversals occurred (flagged as unreliable).
+     */
+    getThreshold() {
+        const n = this.config.thresholdReversals;
+        if (this.reversals.length >= 2) {
+            const used = this.reversals.slice(-n);
+            return {
+                thresholdMs: used.reduce((a, b) => a + b, 0) / used.length,
+                reversals: this.reversals.length,
+                reliable: this.reversals.length >= n
+            };
+        }
+
+        const values = this.history.map(h => h.value);
+        return {
+            thresholdMs: values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null,
+            reversals: this.reversals.length,
+            reliable: false
+        };
+    }
+}
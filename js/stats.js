@@ -0,0 +1,92 @@
+/**
+ * Lexiscan-Lite - Statistics Helpers
+ * Shared descriptive statistics used by DataManager and task-type plugins.
+ */
+
+export function mean(arr) {
+    return arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+}
+
+export function median(arr) {
+    if (arr.length === 0) return null;
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export function stdDev(arr) {
+    if (arr.length < 2) return null;
+    const m = mean(arr);
+    const squareDiffs = arr.map(v => Math.pow(v - m, 2));
+    return Math.sqrt(mean(squareDiffs));
+}
+
+// Linear interpolation between order statistics (the spreadsheet QUARTILE.INC definition)
+export function quantile(arr, q) {
+    if (arr.length === 0) return null;
+    const sorted = [...arr].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+// Interquartile range - a spread measure that a few very slow responses cannot inflate
+export function iqr(arr) {
+    if (arr.length < 4) return null;
+    return quantile(arr, 0.75) - quantile(arr, 0.25);
+}
+
+/**
+ * Least-squares slope of ys on xs.
+ * @param {number[]} xs - Predictor values (e.g. trial positions)
+ * @param {number[]} ys - Outcome values, same length as xs
+ * @returns {number|null} - Change in y per unit x, or null with fewer than 3 points or constant xs
+ */
+export function slope(xs, ys) {
+    if (xs.length < 3 || xs.length !== ys.length) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    const sxx = xs.reduce((sum, x) => sum + Math.pow(x - mx, 2), 0);
+    if (sxx === 0) return null;
+    return xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0) / sxx;
+}
+
+// Pearson correlation; null with fewer than 3 pairs or when either variable is constant
+export function correlation(xs, ys) {
+    if (xs.length < 3 || xs.length !== ys.length) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    const sxy = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0);
+    const sxx = xs.reduce((sum, x) => sum + Math.pow(x - mx, 2), 0);
+    const syy = ys.reduce((sum, y) => sum + Math.pow(y - my, 2), 0);
+    return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9).
+ * @param {number} p - Probability in (0, 1)
+ */
+export function normalQuantile(p) {
+    if (p <= 0 || p >= 1) return p <= 0 ? -Infinity : Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
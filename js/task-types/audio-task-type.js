@@ -0,0 +1,128 @@
+/**
+ * Lexiscan-Lite - Spoken Stimulus Task Type Base
+ * Shared playback, replay and audio validity handling for tasks whose stimulus is heard, not seen.
+ * Subclasses say which sounds a trial plays; options appear once playback has finished.
+ */
+import TaskType from './task-type.js';
+import { AUDIO_SOURCES } from '../audio.js';
+import { ERROR_MODALITIES } from '../error-taxonomy.js';
+import { median } from '../stats.js';
+
+// Silence between sequenced sounds when trialConfig.itemGap is not set (ms)
+const DEFAULT_ITEM_GAP = 250;
+
+export default class AudioTaskType extends TaskType {
+    constructor() {
+        super();
+        this.configKeys = ['timeout', 'allowReplay', 'itemGap'];
+        this.errorModality = ERROR_MODALITIES.AUDITORY;
+    }
+
+    validateConfig(config) {
+        const errors = [];
+        if (config.allowReplay !== undefined && typeof config.allowReplay !== 'boolean') {
+            errors.push('allowReplay must be a boolean');
+        }
+        if (config.itemGap !== undefined && !(typeof config.itemGap === 'number' && config.itemGap >= 0)) {
+            errors.push('itemGap must be a number >= 0 (ms)');
+        }
+        return errors;
+    }
+
+    /**
+     * Sounds played for a trial, in order.
+     * @param {Object} trial - Trial definition from the battery
+     * @param {Object} presentation - Presentation details from prepare()
+     * @returns {Object[]} - [{ id, text }] audio pack ids with speech fallback text
+     */
+    sounds(trial, presentation) {
+        return [];
+    }
+
+    // Per-trial presentation details decided before playback (e.g. a shuffled word order)
+    prepare(engine, trial, config) {
+        return {};
+    }
+
+    async present(engine, trial, config) {
+        engine.ui.stimulusContainer.classList.remove('hidden');
+        engine.ui.stimulusText.textContent = '🔊';
+        engine.ui.audioIcon.classList.remove('hidden');
+
+        // Onset/offset and the source (recorded or synthesized) are logged per trial
+        const presentation = this.prepare(engine, trial, config);
+        presentation.audio = await this.playSounds(engine, this.sounds(trial, presentation), config);
+        return presentation;
+    }
+
+    playSounds(engine, sounds, config) {
+        if (sounds.length === 1) {
+            return engine.audio.play(sounds[0].id, sounds[0].text);
+        }
+        const gap = config.itemGap !== undefined ? config.itemGap : DEFAULT_ITEM_GAP;
+        return engine.audio.playSequence(sounds, gap);
+    }
+
+    renderResponse(engine, trial, config) {
+        this.renderChoices(engine, trial, config);
+        if (config.allowReplay) engine.showReplayControl();
+    }
+
+    renderChoices(engine, trial, config) {
+        super.renderResponse(engine, trial, config);
+    }
+
+    // One replay per trial; the RT clock keeps running from the options onset
+    async replay(engine, trial, trialData) {
+        const replay = { requestedAt: performance.now() };
+        trialData.replay = replay;
+        const sounds = this.sounds(trial, trialData.presentation || {});
+        Object.assign(replay, await this.playSounds(engine, sounds, engine.currentTask.trialConfig));
+    }
+
+    // Audio that never played makes the trial invalid rather than an error
+    annotateTrial(trial) {
+        const audio = trial.presentation && trial.presentation.audio;
+        if (!audio) return;
+
+        const replayPlayed = trial.replay && trial.replay.failed === false;
+        if (audio.failed && !replayPlayed) {
+            trial.invalid = true;
+            trial.invalidReason = `audio playback failed (${audio.error})`;
+        }
+
+        if (!trial.wasTimeout) {
+            trial.rtFromAudioOnset = audio.onset !== null ? trial.respondedAt - audio.onset : null;
+            trial.rtFromAudioOffset = audio.offset !== null ? trial.respondedAt - audio.offset : null;
+        }
+    }
+
+    // Audio delivery and onset/offset-referenced RTs
+    summarize(trials, task) {
+        const valid = trials.filter(t => !t.invalid && !t.wasTimeout);
+        const sources = trials.map(t => t.presentation && t.presentation.audio ? t.presentation.audio.source : null);
+
+        return {
+            audio: {
+                recorded: sources.filter(s => s === AUDIO_SOURCES.RECORDED).length,
+                synthesized: sources.filter(s => s === AUDIO_SOURCES.SYNTHESIZED).length,
+                mixed: sources.filter(s => s === AUDIO_SOURCES.MIXED).length,
+                failures: trials.filter(t => t.invalid).length,
+                replays: trials.filter(t => t.replay).length
+            },
+            medianRTFromAudioOnset: median(valid.map(t => t.rtFromAudioOnset).filter(rt => rt !== null && rt !== undefined)),
+            medianRTFromAudioOffset: median(valid.map(t => t.rtFromAudioOffset).filter(rt => rt !== null && rt !== undefined))
+        };
+    }
+
+    // Accuracy and median RT for a subset of trials (invalid trials excluded)
+    subsetStats(trials) {
+        const valid = trials.filter(t => !t.invalid);
+        const completed = valid.filter(t => !t.wasTimeout);
+        return {
+            trials: valid.length,
+            accuracy: completed.length > 0 ? (completed.filter(t => t.isCorrect).length / completed.length) * 100 : null,
+            medianRT: median(completed.map(t => t.reactionTime).filter(rt => rt !== null))
+        };
+    }
+}
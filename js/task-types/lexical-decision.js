@@ -0,0 +1,90 @@
+/**
+ * Lexiscan-Lite - Lexical Decision Task Type
+ * Real word vs pseudoword judgement with YES/NO responses.
+ */
+import TaskType from './task-type.js';
+import { TASK_TYPES } from '../tasks.js';
+import { median, normalQuantile } from '../stats.js';
+
+export default class LexicalDecisionTaskType extends TaskType {
+    constructor() {
+        super();
+        this.types = [TASK_TYPES.LEXICAL_DECISION];
+        this.configKeys = ['timeout', 'binaryChoice'];
+        this.trialSchema = {
+            required: { stimulus: 'string', isReal: 'boolean' },
+            optional: {}
+        };
+        this.binary = true;
+        this.errorModality = null;
+    }
+
+    async present(engine, trial, config) {
+        engine.ui.stimulusContainer.classList.remove('hidden');
+        engine.ui.stimulusText.textContent = trial.stimulus;
+        engine.ui.audioIcon.classList.add('hidden');
+    }
+
+    createTrialData(data, trial, trialIndex) {
+        const targetValue = trial.isReal ? 'YES' : 'NO';
+        const trialData = data.startTrial(targetValue, [trial.isReal ? 'NO' : 'YES'], trialIndex);
+        trialData.stimulus = trial.stimulus;
+        trialData.isRealWord = trial.isReal;
+        return trialData;
+    }
+
+    renderResponse(engine, trial, config) {
+        engine.renderBinaryChoice(trial.isReal ? 'YES' : 'NO');
+    }
+
+    // Real-word vs pseudoword performance plus signal detection (real word = signal, YES = "signal present")
+    summarize(trials, task) {
+        const statsFor = isReal => {
+            const subset = trials.filter(t => t.isRealWord === isReal);
+            const completed = subset.filter(t => !t.wasTimeout);
+            return {
+                trials: subset.length,
+                accuracy: completed.length > 0 ? (completed.filter(t => t.isCorrect).length / completed.length) * 100 : null,
+                medianRT: median(completed.map(t => t.reactionTime).filter(rt => rt !== null))
+            };
+        };
+
+        return {
+            realWords: statsFor(true),
+            pseudowords: statsFor(false),
+            signalDetection: this.signalDetection(trials.filter(t => !t.wasTimeout))
+        };
+    }
+
+    /**
+     * Hits, false alarms, d' and criterion c. Rates use the log-linear correction
+     * ((count + 0.5) / (n + 1), Hautus 1995) so perfect or zero rates stay finite.
+     * Positive c means a bias towards NO, negative towards YES. Timeouts are excluded.
+     */
+    signalDetection(answered) {
+        const real = answered.filter(t => t.isRealWord);
+        const pseudo = answered.filter(t => !t.isRealWord);
+        const hits = real.filter(t => t.selected === 'YES').length;
+        const falseAlarms = pseudo.filter(t => t.selected === 'YES').length;
+
+        const result = {
+            hits,
+            misses: real.length - hits,
+            falseAlarms,
+            correctRejections: pseudo.length - falseAlarms,
+            hitRate: null,
+            falseAlarmRate: null,
+            dPrime: null,
+            criterion: null
+        };
+        if (real.length === 0 || pseudo.length === 0) return result;
+
+        result.hitRate = (hits + 0.5) / (real.length + 1);
+        result.falseAlarmRate = (falseAlarms + 0.5) / (pseudo.length + 1);
+        const zHit = normalQuantile(result.hitRate);
+        const zFalseAlarm = normalQuantile(result.falseAlarmRate);
+        result.dPrime = zHit - zFalseAlarm;
+        result.criterion = -(zHit + zFalseAlarm) / 2;
+        return result;
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * Lexiscan-Lite - Onset Odd-One-Out Task Type
+ * Three or more words are spoken, participant picks the one that starts with a different sound.
+ */
+import AudioTaskType from './audio-task-type.js';
+import { TASK_TYPES } from '../tasks.js';
+
+export default class OnsetOddOneOutTaskType extends AudioTaskType {
+    constructor() {
+        super();
+        this.types = [TASK_TYPES.ONSET_ODD_ONE_OUT];
+        // target: the odd word out; distractors: the words sharing an onset
+        this.trialSchema = {
+            required: { target: 'string', distractors: 'string[]' },
+            optional: {}
+        };
+    }
+
+    // Words are spoken in a seeded order and the options keep that order
+    prepare(engine, trial, config) {
+        return { order: engine.shuffleArray([trial.target, ...trial.distractors]) };
+    }
+
+    sounds(trial, presentation) {
+        return presentation.order.map(word => ({ id: word, text: word }));
+    }
+
+    renderChoices(engine, trial, config) {
+        engine.renderOptions(engine.currentTrialData.presentation.order, trial.target);
+    }
+
+    // Accuracy by where the odd word was heard (late positions load phonological memory)
+    summarize(trials, task) {
+        const byPosition = {};
+        trials.forEach(t => {
+            const position = t.presentation ? t.presentation.order.indexOf(t.target) + 1 : null;
+            if (position) (byPosition[position] = byPosition[position] || []).push(t);
+        });
+
+        return {
+            ...super.summarize(trials, task),
+            byOddPosition: Object.fromEntries(
+                Object.entries(byPosition).map(([position, subset]) => [position, this.subsetStats(subset)])
+            )
+        };
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Lexiscan-Lite - Phoneme Blending Task Type
+ * Separate phonemes are played (/k/ /a/ /t/), participant picks the word or picture they make.
+ */
+import AudioTaskType from './audio-task-type.js';
+import { TASK_TYPES, PHONEME_MAP } from '../tasks.js';
+
+export default class PhonemeBlendingTaskType extends AudioTaskType {
+    constructor() {
+        super();
+        this.types = [TASK_TYPES.PHONEME_BLENDING];
+        // Options may be words or pictures (e.g. emoji) - pictures keep reading out of the response
+        this.trialSchema = {
+            required: { phonemes: 'string[]', target: 'string', distractors: 'string[]' },
+            optional: {}
+        };
+    }
+
+    // Spoken as sound spellings ('kuh', 'ah', 'tuh'); letter names could not be blended into a word
+    sounds(trial) {
+        return trial.phonemes.map(id => ({ id, text: PHONEME_MAP[id] || id }));
+    }
+
+    createTrialData(data, trial, trialIndex) {
+        const trialData = data.startTrial(trial.target, trial.distractors, trialIndex);
+        trialData.phonemes = trial.phonemes;
+        return trialData;
+    }
+
+    // Accuracy by number of phonemes to blend
+    summarize(trials, task) {
+        const byLength = {};
+        trials.forEach(t => {
+            (byLength[t.phonemes.length] = byLength[t.phonemes.length] || []).push(t);
+        });
+
+        return {
+            ...super.summarize(trials, task),
+            byPhonemeCount: Object.fromEntries(
+                Object.entries(byLength).map(([count, subset]) => [count, this.subsetStats(subset)])
+            )
+        };
+    }
+}
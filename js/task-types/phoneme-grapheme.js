@@ -0,0 +1,23 @@
+/**
+ * Lexiscan-Lite - Phoneme-Grapheme Task Type
+ * A phoneme is played aloud, participant picks the letter that makes that sound.
+ */
+import AudioTaskType from './audio-task-type.js';
+import { TASK_TYPES, PHONEME_MAP } from '../tasks.js';
+
+export default class PhonemeGraphemeTaskType extends AudioTaskType {
+    constructor() {
+        super();
+        this.types = [TASK_TYPES.PHONEME_GRAPHEME];
+        this.configKeys = ['timeout', 'playAudio', 'allowReplay'];
+        this.trialSchema = {
+            required: { target: 'string', distractors: 'string[]' },
+            optional: { phoneme: 'string' }
+        };
+    }
+
+    sounds(trial) {
+        const phonemeId = trial.phoneme || trial.target;
+        return [{ id: phonemeId, text: PHONEME_MAP[phonemeId] || phonemeId }];
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Lexiscan-Lite - Rapid Automatized Naming Task Type
+ * A chart of repeated high-frequency letters or digits is named aloud as fast as possible.
+ * The student presses Next after naming each item; a supervisor may mark misnamed items.
+ * Each chart is one trial, and its RT is the total naming time.
+ */
+import TaskType from './task-type.js';
+import { TASK_TYPES } from '../tasks.js';
+import { median, stdDev } from '../stats.js';
+
+const DEFAULT_COLUMNS = 10;
+
+export default class RapidNamingTaskType extends TaskType {
+    constructor() {
+        super();
+        this.types = [TASK_TYPES.RAPID_NAMING];
+        this.configKeys = ['timeout', 'columns', 'supervisorErrors'];
+        this.trialSchema = {
+            required: { items: 'string[]' },
+            optional: { label: 'string' } // e.g. 'letters', 'digits' - used to key per-chart metrics
+        };
+        this.stepwise = true;
+        this.errorModality = null;
+    }
+
+    validateConfig(config) {
+        const errors = [];
+        if (config.columns !== undefined && !(Number.isInteger(config.columns) && config.columns >= 1)) {
+            errors.push('columns must be an integer >= 1');
+        }
+        if (config.supervisorErrors !== undefined && typeof config.supervisorErrors !== 'boolean') {
+            errors.push('supervisorErrors must be a boolean');
+        }
+        return errors;
+    }
+
+    async present(engine, trial, config) {
+        engine.ui.stimulusContainer.classList.remove('hidden');
+        engine.ui.stimulusText.textContent = '';
+        engine.ui.audioIcon.classList.add('hidden');
+    }
+
+    createTrialData(data, trial, trialIndex) {
+        const trialData = data.startTrial('NEXT', [], trialIndex);
+        trialData.items = trial.items;
+        trialData.label = trial.label || null;
+        trialData.stepTimes = [];       // performance.now() of each Next press
+        trialData.errorPositions = [];  // 0-based item positions marked by the supervisor
+        return trialData;
+    }
+
+    // The chart appears on the same frame as the Next control so the RT clock covers all of it
+    renderResponse(engine, trial, config) {
+        const grid = engine.ui.itemGrid;
+        grid.innerHTML = '';
+        grid.style.setProperty('--item-grid-columns', config.columns || DEFAULT_COLUMNS);
+        trial.items.forEach((item, i) => {
+            const cell = document.createElement('span');
+            cell.className = i === 0 ? 'item-grid-cell current' : 'item-grid-cell';
+            cell.textContent = item;
+            grid.appendChild(cell);
+        });
+        grid.classList.remove('hidden');
+
+        engine.renderAdvanceControl('Next');
+        if (config.supervisorErrors) engine.showMarkErrorControl();
+    }
+
+    onStep(engine, trialData, selected, respondedAt) {
+        trialData.stepTimes.push(respondedAt);
+        const cells = engine.ui.itemGrid.children;
+        const named = trialData.stepTimes.length;
+        if (cells[named - 1]) cells[named - 1].classList.remove('current');
+        if (cells[named]) cells[named].classList.add('current');
+        return named >= trialData.items.length;
+    }
+
+    // Toggles the mark on the item named last (pressing again undoes a mistaken mark)
+    markError(engine, trialData) {
+        const position = trialData.stepTimes.length - 1;
+        if (position < 0) return;
+
+        const marked = trialData.errorPositions.indexOf(position);
+        if (marked >= 0) {
+            trialData.errorPositions.splice(marked, 1);
+        } else {
+            trialData.errorPositions.push(position);
+            trialData.errorPositions.sort((a, b) => a - b);
+        }
+    }
+
+    // Completed charts count as correct only when no item was marked
+    isCorrect(trialData, selected) {
+        return selected !== null && trialData.errorPositions.length === 0;
+    }
+
+    // Per-item inter-response intervals; the first runs from chart onset to the first Next
+    annotateTrial(trial) {
+        const starts = [trial.presentedAt, ...trial.stepTimes.slice(0, -1)];
+        trial.interResponseIntervals = trial.stepTimes.map((time, i) => time - starts[i]);
+        trial.itemsNamed = trial.stepTimes.length;
+    }
+
+    // Naming speed and errors overall and per chart (keyed by trial label, else chart number)
+    summarize(trials, task) {
+        const charts = {};
+        trials.forEach((t, i) => {
+            charts[t.label || String(i + 1)] = this.chartStats([t]);
+        });
+
+        return {
+            ...this.chartStats(trials),
+            charts
+        };
+    }
+
+    chartStats(trials) {
+        const completed = trials.filter(t => !t.wasTimeout && !t.invalid);
+        const intervals = completed.flatMap(t => t.interResponseIntervals);
+        const items = completed.reduce((sum, t) => sum + t.items.length, 0);
+        const totalTime = completed.reduce((sum, t) => sum + t.reactionTime, 0);
+        const errors = trials.reduce((sum, t) => sum + t.errorPositions.length, 0);
+        const completedErrors = completed.reduce((sum, t) => sum + t.errorPositions.length, 0);
+
+        return {
+            completedCharts: completed.length,
+            totalTime: completed.length > 0 ? totalTime : null,
+            itemsPerSecond: totalTime > 0 ? items / (totalTime / 1000) : null,
+            medianInterval: median(intervals),
+            intervalStdDev: stdDev(intervals),
+            errors,
+            itemAccuracy: items > 0 ? ((items - completedErrors) / items) * 100 : null,
+            // 1-based item positions of supervisor-marked errors, e.g. "1:12" = chart 1, item 12
+            errorPositions: trials.flatMap(t => t.errorPositions.map(p => `${t.trialIndex + 1}:${p + 1}`))
+        };
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Lexiscan-Lite - Task Type Registry
+ * Maps TASK_TYPES values to their plugins. New paradigms register here instead of editing the engine.
+ */
+import StandardTaskType from './standard.js';
+import PhonemeGraphemeTaskType from './phoneme-grapheme.js';
+import VisualMaskingTaskType from './visual-masking.js';
+import LexicalDecisionTaskType from './lexical-decision.js';
+import RhymeJudgementTaskType from './rhyme-judgement.js';
+import OnsetOddOneOutTaskType from './onset-odd-one-out.js';
+import PhonemeBlendingTaskType from './phoneme-blending.js';
+import RapidNamingTaskType from './rapid-naming.js';
+
+export class TaskTypeRegistry {
+    constructor() {
+        this.plugins = new Map();
+    }
+
+    /**
+     * Register a plugin for every task type it declares.
+     * @param {TaskType} plugin - Task type plugin instance
+     */
+    register(plugin) {
+        if (!plugin.types || plugin.types.length === 0) {
+            throw new Error('Task type plugin must declare at least one type');
+        }
+        plugin.types.forEach(type => this.plugins.set(type, plugin));
+        return this;
+    }
+
+    has(type) {
+        return this.plugins.has(type);
+    }
+
+    get(type) {
+        const plugin = this.plugins.get(type);
+        if (!plugin) {
+            throw new Error(`Unknown task type: ${type}`);
+        }
+        return plugin;
+    }
+}
+
+const registry = new TaskTypeRegistry()
+    .register(new StandardTaskType())
+    .register(new PhonemeGraphemeTaskType())
+    .register(new VisualMaskingTaskType())
+    .register(new LexicalDecisionTaskType())
+    .register(new RhymeJudgementTaskType())
+    .register(new OnsetOddOneOutTaskType())
+    .register(new PhonemeBlendingTaskType())
+    .register(new RapidNamingTaskType());
+
+export default registry;
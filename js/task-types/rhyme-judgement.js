@@ -0,0 +1,45 @@
+/**
+ * Lexiscan-Lite - Rhyme Judgement Task Type
+ * Two words are spoken, participant answers YES (they rhyme) or NO.
+ */
+import AudioTaskType from './audio-task-type.js';
+import { TASK_TYPES } from '../tasks.js';
+
+export default class RhymeJudgementTaskType extends AudioTaskType {
+    constructor() {
+        super();
+        this.types = [TASK_TYPES.RHYME_JUDGEMENT];
+        this.trialSchema = {
+            required: { words: 'string[]', rhymes: 'boolean' },
+            optional: {}
+        };
+        this.binary = true;
+        this.errorModality = null;
+    }
+
+    // Words are audio pack ids and are spoken as written when the pack has no recording
+    sounds(trial) {
+        return trial.words.map(word => ({ id: word, text: word }));
+    }
+
+    createTrialData(data, trial, trialIndex) {
+        const targetValue = trial.rhymes ? 'YES' : 'NO';
+        const trialData = data.startTrial(targetValue, [trial.rhymes ? 'NO' : 'YES'], trialIndex);
+        trialData.words = trial.words;
+        trialData.rhymes = trial.rhymes;
+        return trialData;
+    }
+
+    renderChoices(engine, trial, config) {
+        engine.renderBinaryChoice(trial.rhymes ? 'YES' : 'NO');
+    }
+
+    // Rhyming vs non-rhyming pairs (saying YES to everything looks like 50% overall)
+    summarize(trials, task) {
+        return {
+            ...super.summarize(trials, task),
+            rhyming: this.subsetStats(trials.filter(t => t.rhymes)),
+            nonRhyming: this.subsetStats(trials.filter(t => !t.rhymes))
+        };
+    }
+}
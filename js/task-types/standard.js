@@ -0,0 +1,25 @@
+/**
+ * Lexiscan-Lite - Standard Visual Task Type
+ * Target shown on screen, participant picks the matching option.
+ */
+import TaskType from './task-type.js';
+import { TASK_TYPES } from '../tasks.js';
+
+export default class StandardTaskType extends TaskType {
+    constructor() {
+        super();
+        this.types = [
+            TASK_TYPES.BASELINE_LITERACY,
+            TASK_TYPES.VISUAL_DISCRIMINATION,
+            TASK_TYPES.ATTENTION_STABILITY
+        ];
+        this.configKeys = ['timeout', 'showStimulus'];
+    }
+
+    async present(engine, trial, config) {
+        engine.ui.stimulusContainer.classList.remove('hidden');
+        engine.ui.stimulusText.textContent = trial.target;
+        engine.ui.stimulusText.classList.remove('masked');
+        engine.ui.audioIcon.classList.add('hidden');
+    }
+}
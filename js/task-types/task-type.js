@@ -0,0 +1,99 @@
+/**
+ * Lexiscan-Lite - Task Type Base
+ * Defines the contract every task-type plugin implements. Subclasses override only what differs.
+ */
+import { ERROR_MODALITIES } from '../error-taxonomy.js';
+
+/**
+ * Plugin contract:
+ * - types: TASK_TYPES values handled by this plugin
+ * - configKeys: allowed trialConfig keys (checked by Battery.validate)
+ * - validateConfig(): extra trialConfig checks, returns error strings
+ * - trialSchema: { required, optional } trial key -> type map (checked by Battery.validate)
+ * - stepwise: trials take one response per item (onStep) and their RT is the time to finish the trial
+ * - binary: responses are the fixed YES/NO pair (renderBinaryChoice), not shuffled options
+ * - errorModality: ERROR_MODALITIES value used to classify errors (null when responses are not
+ *   confusable items, e.g. YES/NO judgements)
+ * - onTaskStart(): resets any per-task state before the first trial
+ * - onTaskResume(): rebuilds per-task state from recorded trials after an interruption
+ * - present(): shows the stimulus; resolves when the response phase may begin,
+ *   optionally with presentation details stored on the trial as `presentation`
+ * - createTrialData(): builds the trial record via DataManager.startTrial()
+ * - renderResponse(): renders the response options
+ * - onStep(): called for every response before it is recorded; returning false keeps the trial open
+ * - markError(): supervisor marks the last step as an error (stepwise tasks)
+ * - isCorrect(): scoring rule used by DataManager.recordResponse()
+ * - annotateTrial(): adds derived fields to the recorded trial (may set `invalid` to exclude it from scoring)
+ * - replay(): replays the stimulus when the replay control is used (audio tasks)
+ * - onResponse(): called after every response or timeout (selected is null on timeout)
+ * - summarize(): task-specific metrics merged into the task summary as `metrics`
+ */
+export default class TaskType {
+    constructor() {
+        this.types = [];
+        this.configKeys = ['timeout'];
+        this.trialSchema = {
+            required: { target: 'string', distractors: 'string[]' },
+            optional: {}
+        };
+        this.stepwise = false;
+        this.binary = false;
+        this.errorModality = ERROR_MODALITIES.VISUAL;
+    }
+
+    validateConfig(config) {
+        return [];
+    }
+
+    onTaskStart(engine, task) {}
+
+    onTaskResume(engine, task, recordedTrials) {
+        this.onTaskStart(engine, task);
+        recordedTrials.forEach(t => this.onResponse(engine, t, t.selected));
+    }
+
+    /**
+     * Show the stimulus for a trial.
+     * @param {GameEngine} engine - Running engine (DOM refs and rendering helpers)
+     * @param {Object} trial - Trial definition from the battery
+     * @param {Object} config - Task trialConfig
+     */
+    async present(engine, trial, config) {
+        engine.ui.stimulusContainer.classList.add('hidden');
+    }
+
+    createTrialData(data, trial, trialIndex) {
+        return data.startTrial(trial.target, trial.distractors, trialIndex);
+    }
+
+    renderResponse(engine, trial, config) {
+        const options = engine.shuffleArray([trial.target, ...trial.distractors]);
+        engine.renderOptions(options, trial.target);
+    }
+
+    onStep(engine, trialData, selected, respondedAt) {
+        return true;
+    }
+
+    markError(engine, trialData) {}
+
+    isCorrect(trialData, selected) {
+        return selected === trialData.target;
+    }
+
+    annotateTrial(trial) {}
+
+    async replay(engine, trial, trialData) {}
+
+    onResponse(engine, trialData, selected) {}
+
+    /**
+     * Task-specific summary metrics.
+     * @param {Object[]} trials - Recorded trials
+     * @param {Object} task - Task record (includes trialConfig)
+     * @returns {Object}
+     */
+    summarize(trials, task) {
+        return {};
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Lexiscan-Lite - Visual Masking Task Type
+ * Target flashes briefly and is masked before the options appear.
+ */
+import TaskType from './task-type.js';
+import { TASK_TYPES } from '../tasks.js';
+import Staircase, { DEFAULT_STAIRCASE } from '../staircase.js';
+import PatternMask, { MASK_TYPES } from '../mask.js';
+
+// Fallback stimulus box when layout metrics are unavailable
+const FALLBACK_GLYPH = { width: 40, height: 80 };
+
+export default class VisualMaskingTaskType extends TaskType {
+    constructor() {
+        super();
+        this.types = [TASK_TYPES.VISUAL_MASKING];
+        this.configKeys = ['timeout', 'flashDuration', 'maskDuration', 'maskType', 'soa', 'adaptive'];
+        this.staircase = null;
+        this.patternMask = null;
+    }
+
+    // `adaptive: true` uses the default staircase; an object overrides DEFAULT_STAIRCASE keys
+    validateConfig(config) {
+        const errors = [];
+
+        if (config.maskType !== undefined && !Object.values(MASK_TYPES).includes(config.maskType)) {
+            errors.push(`maskType must be one of ${Object.values(MASK_TYPES).join(', ')}`);
+        }
+        if (config.soa !== undefined && !(typeof config.soa === 'number' && config.soa >= 0)) {
+            errors.push('soa must be a non-negative number');
+        }
+
+        const adaptive = config.adaptive;
+        if (adaptive === undefined || typeof adaptive === 'boolean') return errors;
+        if (adaptive === null || typeof adaptive !== 'object') return [...errors, 'adaptive must be a boolean or an object'];
+
+        return errors.concat(Object.entries(adaptive)
+            .filter(([key, value]) => !(key in DEFAULT_STAIRCASE) || typeof value !== 'number' || value < 0)
+            .map(([key]) => `adaptive.${key} is not a valid staircase setting`));
+    }
+
+    getStaircaseConfig(config) {
+        if (!config.adaptive) return null;
+        const overrides = typeof config.adaptive === 'object' ? config.adaptive : {};
+        return { start: config.flashDuration || DEFAULT_STAIRCASE.start, ...overrides };
+    }
+
+    onTaskStart(engine, task) {
+        const staircaseConfig = this.getStaircaseConfig(task.trialConfig);
+        this.staircase = staircaseConfig ? new Staircase(staircaseConfig) : null;
+        // Masks are drawn from the engine's per-trial seeded stream
+        this.patternMask = new PatternMask(() => engine.trialRandom.next());
+    }
+
+    onResponse(engine, trialData, selected) {
+        if (this.staircase) {
+            this.staircase.update(selected !== null && this.isCorrect(trialData, selected));
+        }
+    }
+
+    /**
+     * Stimulus -> (blank ISI) -> backward mask -> '?' placeholder.
+     * SOA runs from stimulus onset to mask onset and is never shorter than the exposure;
+     * by default the mask replaces the stimulus on the same frame (SOA = exposure).
+     */
+    async present(engine, trial, config) {
+        engine.ui.audioIcon.classList.add('hidden');
+
+        const maskType = config.maskType || MASK_TYPES.LETTERS;
+        const exposureDuration = this.staircase ? this.staircase.value : (config.flashDuration || 400);
+        const soa = Math.max(config.soa !== undefined ? config.soa : exposureDuration, exposureDuration);
+        const maskDuration = config.maskDuration || 100;
+
+        let mask = null;
+        const showMask = () => {
+            if (!mask) return;
+            engine.ui.maskLayer.appendChild(mask);
+            engine.ui.maskLayer.classList.remove('hidden');
+        };
+
+        // Flash stimulus for a whole number of display frames
+        const exposure = await engine.timing.flash({
+            show: () => {
+                engine.ui.stimulusContainer.classList.remove('hidden');
+                engine.ui.stimulusText.textContent = trial.target;
+                engine.ui.stimulusText.classList.remove('masked');
+            },
+            hide: () => {
+                if (maskType !== MASK_TYPES.FADE) {
+                    mask = this.createMask(engine, maskType, trial.target);
+                }
+                engine.ui.stimulusText.classList.add('masked');
+                if (soa <= exposureDuration) showMask();
+            },
+            duration: exposureDuration
+        });
+
+        // Blank inter-stimulus interval when SOA exceeds the exposure
+        const maskOnset = soa > exposureDuration
+            ? await engine.timing.holdUntil(exposure.onset, soa)
+            : exposure.offset;
+        if (soa > exposureDuration) showMask();
+
+        // Hold mask, then hide stimulus completely
+        const maskOffset = await engine.timing.holdUntil(maskOnset, maskDuration);
+        engine.ui.maskLayer.classList.add('hidden');
+        engine.ui.maskLayer.innerHTML = '';
+        engine.ui.stimulusText.textContent = '?';
+
+        return {
+            intendedDuration: exposure.intendedDuration,
+            measuredDuration: exposure.measuredDuration,
+            maskType,
+            soaIntended: soa,
+            soaMeasured: maskOnset - exposure.onset,
+            maskIntendedDuration: maskDuration,
+            maskMeasuredDuration: maskOffset - maskOnset,
+            frameInterval: engine.timing.frameInterval,
+            adaptive: this.staircase !== null
+        };
+    }
+
+    // Size the mask to the rendered stimulus (measured before it is hidden)
+    createMask(engine, maskType, target) {
+        const rect = engine.ui.stimulusText.getBoundingClientRect();
+        const width = rect.width || FALLBACK_GLYPH.width * target.length;
+        const height = rect.height || FALLBACK_GLYPH.height;
+        return this.patternMask.create(maskType, width, height);
+    }
+
+    // Replay the staircase from recorded outcomes to estimate the exposure threshold
+    summarize(trials, task) {
+        const staircaseConfig = task && task.trialConfig ? this.getStaircaseConfig(task.trialConfig) : null;
+        if (!staircaseConfig) return {};
+
+        const staircase = new Staircase(staircaseConfig);
+        trials.forEach(t => staircase.update(t.isCorrect));
+        const threshold = staircase.getThreshold();
+
+        return {
+            adaptive: true,
+            thresholdMs: threshold.thresholdMs,
+            reversals: threshold.reversals,
+            thresholdReliable: threshold.reliable
+        };
+    }
+}
@@ -9,7 +9,12 @@ export const TASK_TYPES = {
     VISUAL_DISCRIMINATION: 'visual_discrimination',
     VISUAL_MASKING: 'visual_masking',
     LEXICAL_DECISION: 'lexical_decision',
-    ATTENTION_STABILITY: 'attention_stability'
+    ATTENTION_STABILITY: 'attention_stability',
+    // Phonological awareness (spoken stimuli)
+    RHYME_JUDGEMENT: 'rhyme_judgement',
+    ONSET_ODD_ONE_OUT: 'onset_odd_one_out',
+    PHONEME_BLENDING: 'phoneme_blending',
+    RAPID_NAMING: 'rapid_naming'
 };
 
 /**
@@ -18,9 +23,14 @@ export const TASK_TYPES = {
  * - type: TASK_TYPES enum
  * - title: display title
  * - instruction: brief instruction text
- * - trialConfig: { timeout, maskDuration, flashDuration }
+ * - trialConfig: { timeout, maskDuration, flashDuration, maskType, soa, adaptive }
+ *   (adaptive: true or staircase settings - flashDuration then becomes the starting exposure;
+ *   spoken tasks: allowReplay, itemGap - silence in ms between sequenced words or phonemes;
+ *   rapid naming: columns, supervisorErrors - show a 'Mark error' control; timeout covers a whole chart)
  * - trials: array of trial definitions
- * - isWarmup: if true, data is not used for scoring
+ * - trialOrder: optional { shuffle, maxRun, noImmediateRepeat } seeded shuffling constraints
+ * - isWarmup: if true, responses are kept as practice (quality checks only), not scored
+ * - retestOf: optional id of an earlier task this one repeats (item-level test-retest comparison)
  */
 export const TASKS = [
     // ========== TASK 0: WARMUP (not scored) ==========
@@ -70,7 +80,8 @@ export const TASKS = [
         instruction: 'Listen to the sound. Click the letter that makes that sound.',
         trialConfig: {
             timeout: 3000, // Short window - reaction time matters
-            playAudio: true
+            playAudio: true,
+            allowReplay: true // One 'Play again' per item
         },
         trials: [
             { target: 'b', phoneme: 'buh', distractors: ['d', 'p'] },
@@ -97,6 +108,7 @@ export const TASKS = [
             timeout: 3000,
             showStimulus: true
         },
+        trialOrder: { shuffle: true, noImmediateRepeat: 'target' },
         trials: [
             { target: 'b', distractors: ['d', 'p', 'q'] },
             { target: 'd', distractors: ['b', 'q', 'p'] },
@@ -121,7 +133,8 @@ export const TASKS = [
         trialConfig: {
             timeout: 3000,
             flashDuration: 400, // 400ms exposure
-            maskDuration: 100  // 100ms fade
+            maskDuration: 100, // 100ms backward pattern mask
+            maskType: 'letters' // overlapping letter fragments
         },
         trials: [
             { target: 'b', distractors: ['d', 'p'] },
@@ -146,6 +159,7 @@ export const TASKS = [
             timeout: 3000,
             binaryChoice: true
         },
+        trialOrder: { shuffle: true, maxRun: { field: 'isReal', length: 3 } }, // max 3 pseudowords in a row
         trials: [
             { stimulus: 'cat', isReal: true },
             { stimulus: 'plim', isReal: false },
@@ -162,11 +176,106 @@ export const TASKS = [
         ]
     },
 
-    // ========== TASK 6: ATTENTION STABILITY (Repeat of earlier task) ==========
-    // Same structure as Task 3 - compare performance variance
+    // ========== TASK 6: RHYME JUDGEMENT (Audio) ==========
+    // Phonological awareness at the rime level - typically the earliest skill to develop
+    {
+        id: 'rhyme_judgement',
+        type: TASK_TYPES.RHYME_JUDGEMENT,
+        title: 'Rhyme Time',
+        instruction: 'Listen to the two words. Do they rhyme? Click YES or NO.',
+        trialConfig: {
+            timeout: 4000,
+            itemGap: 400,
+            allowReplay: true
+        },
+        trialOrder: { shuffle: true, maxRun: { field: 'rhymes', length: 3 } },
+        trials: [
+            { words: ['cat', 'hat'], rhymes: true },
+            { words: ['pen', 'pig'], rhymes: false }, // same onset, different rime
+            { words: ['sun', 'run'], rhymes: true },
+            { words: ['bed', 'bag'], rhymes: false },
+            { words: ['fish', 'dish'], rhymes: true },
+            { words: ['moon', 'mop'], rhymes: false },
+            { words: ['cake', 'lake'], rhymes: true },
+            { words: ['boat', 'bell'], rhymes: false }
+        ]
+    },
+
+    // ========== TASK 7: ONSET ODD-ONE-OUT (Audio) ==========
+    // Phonological awareness at the onset level - which word starts with a different sound?
+    {
+        id: 'onset_odd_one_out',
+        type: TASK_TYPES.ONSET_ODD_ONE_OUT,
+        title: 'Odd One Out',
+        instruction: 'Listen to the words. Click the word that starts with a different sound.',
+        trialConfig: {
+            timeout: 5000,
+            itemGap: 400,
+            allowReplay: true
+        },
+        trials: [
+            { target: 'fish', distractors: ['sun', 'sock'] },
+            { target: 'cup', distractors: ['ball', 'bed'] },
+            { target: 'dog', distractors: ['mat', 'mop'] },
+            { target: 'top', distractors: ['pig', 'pen'] },
+            { target: 'log', distractors: ['kite', 'kid'] },
+            { target: 'bus', distractors: ['fan', 'fox'] }
+        ]
+    },
+
+    // ========== TASK 8: PHONEME BLENDING (Audio) ==========
+    // Hear separate sounds, pick the picture they make - pictures avoid a reading confound
+    {
+        id: 'phoneme_blending',
+        type: TASK_TYPES.PHONEME_BLENDING,
+        title: 'Sound Builder',
+        instruction: 'Listen to the sounds. Click the picture they make when you put them together.',
+        trialConfig: {
+            timeout: 5000,
+            itemGap: 500, // Wide enough that each sound is heard separately
+            allowReplay: true
+        },
+        trials: [
+            { phonemes: ['kuh', 'ah', 'tuh'], target: '🐱', distractors: ['🎩', '🪁'] },   // cat vs hat, kite
+            { phonemes: ['duh', 'aw', 'guh'], target: '🐶', distractors: ['🐸', '🦆'] },   // dog vs frog, duck
+            { phonemes: ['sss', 'uh', 'nnn'], target: '☀️', distractors: ['🧦', '🥁'] },   // sun vs sock, drum
+            { phonemes: ['puh', 'ih', 'guh'], target: '🐷', distractors: ['🖊️', '🐛'] },  // pig vs pen, bug
+            { phonemes: ['buh', 'eh', 'duh'], target: '🛏️', distractors: ['🔔', '🍞'] },  // bed vs bell, bread
+            { phonemes: ['mmm', 'ih', 'lll', 'kuh'], target: '🥛', distractors: ['🐭', '🌙'] }  // milk vs mouse, moon
+        ]
+    },
+
+    // ========== TASK 9: RAPID AUTOMATIZED NAMING ==========
+    // Name a chart of 5 repeated letters/digits as fast as possible - a strong predictor of reading fluency
+    {
+        id: 'rapid_naming',
+        type: TASK_TYPES.RAPID_NAMING,
+        title: 'Quick Naming',
+        instruction: 'Say each one out loud as fast as you can, going along the rows. Press Next after each one.',
+        trialConfig: {
+            timeout: 120000, // per chart
+            columns: 10,
+            supervisorErrors: true
+        },
+        // Each run of five items is a shuffle of the set, with no item repeated across run boundaries
+        trials: [
+            {
+                label: 'letters',
+                items: 'o s d p a d a s o p a o p s d o p s d a p s o a d a o s d p d p s a o d p a o s o a s d p s a o p d'.split(' ')
+            },
+            {
+                label: 'digits',
+                items: '2 9 4 7 6 4 6 9 2 7 6 2 7 9 4 2 7 9 4 6 7 9 2 6 4 6 2 9 4 7 4 7 9 6 2 4 7 6 2 9 2 6 9 4 7 9 6 2 7 4'.split(' ')
+            }
+        ]
+    },
+
+    // ========== TASK 10: ATTENTION STABILITY (Repeat of earlier task) ==========
+    // Same letters as Task 3 - compared item by item for test-retest consistency
     {
         id: 'attention_check',
         type: TASK_TYPES.ATTENTION_STABILITY,
+        retestOf: 'visual_confusable',
         title: 'One More Time',
         instruction: 'Same as before. Click the matching letter.',
         trialConfig: {
@@ -184,16 +293,24 @@ export const TASKS = [
     }
 ];
 
-// Phoneme audio map (for Web Speech API pronunciation)
+// Phoneme audio map (for Web Speech API pronunciation). Values are spelt as the sound,
+// never as a single letter: speech synthesis reads 'b' as the letter name "bee".
 export const PHONEME_MAP = {
-    'buh': 'b',
-    'duh': 'd',
+    'buh': 'buh',
+    'duh': 'duh',
     'mmm': 'mmmm',
     'nnn': 'nnnn',
     'sss': 'ssss',
     'fff': 'ffff',
-    'puh': 'p',
-    'tuh': 't',
-    'kuh': 'k',
-    'guh': 'g'
+    'puh': 'puh',
+    'tuh': 'tuh',
+    'kuh': 'kuh',
+    'guh': 'guh',
+    'lll': 'llll',
+    // Short vowels (blending)
+    'ah': 'ah',
+    'eh': 'eh',
+    'ih': 'ih',
+    'aw': 'aw',
+    'uh': 'uh'
 };
@@ -0,0 +1,103 @@
+/**
+ * Lexiscan-Lite - Timing
+ * High-precision, display-frame aligned timing built on performance.now() and requestAnimationFrame.
+ *
+ * DOM changes made straight after a frame callback resolves are painted in that frame, so the
+ * callback timestamp is used as the on-screen onset (or offset) of the change.
+ */
+const DEFAULT_FRAME_INTERVAL = 1000 / 60;
+
+export default class Timing {
+    constructor() {
+        this.frameInterval = DEFAULT_FRAME_INTERVAL;
+    }
+
+    now() {
+        return performance.now();
+    }
+
+    /**
+     * Resolve on the next animation frame.
+     * @returns {Promise<number>} - Frame timestamp (same clock as performance.now())
+     */
+    nextFrame() {
+        return new Promise(resolve => {
+            if (typeof requestAnimationFrame === 'function') {
+                requestAnimationFrame(resolve);
+            } else {
+                setTimeout(() => resolve(this.now()), this.frameInterval);
+            }
+        });
+    }
+
+    /**
+     * Estimate the display refresh interval from a short run of frames.
+     * @param {number} frames - Number of frame intervals to sample
+     * @returns {Promise<number>} - Median frame interval in ms
+     */
+    async calibrate(frames = 12) {
+        const stamps = [];
+        for (let i = 0; i <= frames; i++) {
+            stamps.push(await this.nextFrame());
+        }
+        const intervals = stamps.slice(1).map((t, i) => t - stamps[i]).sort((a, b) => a - b);
+        const median = intervals[Math.floor(intervals.length / 2)];
+        if (median > 0) this.frameInterval = median;
+        return this.frameInterval;
+    }
+
+    /**
+     * Apply a DOM change aligned to a frame.
+     * @param {Function} change - Synchronous DOM mutation
+     * @returns {Promise<number>} - Timestamp of the frame that paints the change
+     */
+    async present(change) {
+        const frameTime = await this.nextFrame();
+        change();
+        return frameTime;
+    }
+
+    /**
+     * Wait until a change made at `onset` has been on screen for `duration`, counted in whole frames.
+     * Resolves on the first frame that would otherwise overshoot by more than half a frame.
+     * @returns {Promise<number>} - Timestamp of the frame on which the next change should be made
+     */
+    async holdUntil(onset, duration) {
+        let frameTime = onset;
+        do {
+            frameTime = await this.nextFrame();
+        } while (frameTime - onset < duration - this.frameInterval / 2);
+        return frameTime;
+    }
+
+    /**
+     * Show something for a fixed duration.
+     * @param {Object} options - { show, hide, duration } where show/hide are DOM mutations
+     * @returns {Promise<Object>} - { intendedDuration, measuredDuration, onset, offset }
+     */
+    async flash({ show, hide, duration }) {
+        const onset = await this.present(show);
+        const offset = await this.holdUntil(onset, duration);
+        hide();
+
+        return {
+            intendedDuration: duration,
+            measuredDuration: offset - onset,
+            onset,
+            offset
+        };
+    }
+
+    /**
+     * Timestamp for an input event on the performance.now() clock.
+     * @param {Event} event - DOM input event
+     */
+    eventTime(event) {
+        // Event timestamps share the performance.now() time origin in current browsers;
+        // fall back to now() where the value is clearly an epoch time
+        if (event && typeof event.timeStamp === 'number' && event.timeStamp > 0 && event.timeStamp <= this.now()) {
+            return event.timeStamp;
+        }
+        return this.now();
+    }
+}
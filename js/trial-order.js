@@ -0,0 +1,82 @@
+/**
+ * Lexiscan-Lite - Trial Ordering
+ * Optional per-task shuffling of trials under sequence constraints.
+ */
+
+/**
+ * trialOrder structure (task-level, optional):
+ * - shuffle: true to shuffle the authored trials
+ * - maxRun: { field, length } - no more than `length` consecutive trials with the same value
+ *   of `field` (e.g. { field: 'isReal', length: 3 } limits runs of pseudowords and real words)
+ * - noImmediateRepeat: field whose value must differ between neighbouring trials (e.g. 'target')
+ */
+const MAX_ATTEMPTS = 1000;
+
+/**
+ * Check a trialOrder definition against the task type's trial schema.
+ * @returns {string[]} - Errors (empty when valid)
+ */
+export function validateTrialOrder(order, trialSchema) {
+    const errors = [];
+    const fields = [...Object.keys(trialSchema.required), ...Object.keys(trialSchema.optional)];
+    const known = ['shuffle', 'maxRun', 'noImmediateRepeat'];
+
+    Object.keys(order)
+        .filter(key => !known.includes(key))
+        .forEach(key => errors.push(`unknown key "${key}"`));
+
+    if (order.shuffle !== undefined && typeof order.shuffle !== 'boolean') {
+        errors.push('shuffle must be a boolean');
+    }
+    if (order.maxRun !== undefined) {
+        const run = order.maxRun;
+        if (!run || typeof run !== 'object' || !fields.includes(run.field) || !(Number.isInteger(run.length) && run.length >= 1)) {
+            errors.push(`maxRun must be { field, length } with field one of ${fields.join(', ')} and length >= 1`);
+        }
+    }
+    if (order.noImmediateRepeat !== undefined && !fields.includes(order.noImmediateRepeat)) {
+        errors.push(`noImmediateRepeat must be one of ${fields.join(', ')}`);
+    }
+
+    return errors;
+}
+
+export function meetsConstraints(trials, order) {
+    return trials.every((trial, i) => {
+        if (order.noImmediateRepeat && i > 0 && trial[order.noImmediateRepeat] === trials[i - 1][order.noImmediateRepeat]) {
+            return false;
+        }
+        if (order.maxRun && i >= order.maxRun.length) {
+            const { field, length } = order.maxRun;
+            const window = trials.slice(i - length, i + 1);
+            if (window.every(t => t[field] === trial[field])) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Order a task's trials for one session.
+ * @param {Object[]} trials - Authored trials
+ * @param {Object|undefined} order - Task trialOrder definition
+ * @param {Random} random - Seeded stream for this task
+ * @returns {Object} - { trials, itemOrder, constraintsMet } (itemOrder maps position -> authored index)
+ */
+export function orderTrials(trials, order, random) {
+    const indices = trials.map((_, i) => i);
+    if (!order || !order.shuffle) {
+        return { trials, itemOrder: indices, constraintsMet: true };
+    }
+
+    // Rejection sampling: constraints are loose for battery-sized lists
+    let itemOrder = indices;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        itemOrder = random.shuffle(indices);
+        if (meetsConstraints(itemOrder.map(i => trials[i]), order)) {
+            return { trials: itemOrder.map(i => trials[i]), itemOrder, constraintsMet: true };
+        }
+    }
+
+    // Unconstrained shuffle; the session records constraintsMet so exports show it
+    return { trials: itemOrder.map(i => trials[i]), itemOrder, constraintsMet: false };
+}